@@ -1,18 +1,41 @@
 import { storage } from '../common/storage.js';
-import { STORAGE_KEYS } from '../common/constants.js';
+import { STORAGE_KEYS, DEFAULTS, PATTERN_TYPES } from '../common/constants.js';
 import { Logger } from '../common/logger.js';
+import { BLOCKLIST_PACKS } from '../common/blocklist-packs.js';
 import { statisticsManager } from './statistics-manager.js';
+import { matchesCondition, escapeRegExp, findMatchingRule, getRedirectUrl, hostMatchesDomains } from '../common/url-matcher.js';
 
 const logger = new Logger('BlockingManager');
 
+// Chrome's shared dynamic + session rule quota, for browsers that don't expose it
+const DEFAULT_RULE_LIMIT = 5000;
+const DEFAULT_REGEX_RULE_LIMIT = 1000;
+
+/**
+ * Serialize a rule with sorted keys, so rules read back from Chrome compare
+ * equal to the ones we built regardless of property order
+ * @param {object} rule
+ * @returns {string}
+ */
+function ruleSignature(rule) {
+  return JSON.stringify(rule, (key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value
+  );
+}
+
 /**
  * Manages declarativeNetRequest rules for blocking websites
  */
 export class BlockingManager {
   constructor() {
     this.RULE_ID_START = 1000; // Start IDs from 1000 to avoid conflicts
+    this.RULE_ID_STRIDE = 3; // IDs per site: page rule, embedded frame rule, media rule
     this.blockedPageUrl = chrome.runtime.getURL('src/interstitial/blocked.html');
-    this.exemptTabs = new Set(); // Tabs with active budget sessions
+    this.framePlaceholderUrl = chrome.runtime.getURL('src/interstitial/frame-blocked.html');
+    this.exemptRuleIds = new Set(); // Session rules for sites with active budget sessions
+    this.blockingScope = null; // null blocks every enabled site, otherwise { all, siteIds }
   }
 
   /**
@@ -25,6 +48,7 @@ export class BlockingManager {
     
     try {
       const blockedSites = await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
+      this.blockingScope = await storage.get(STORAGE_KEYS.BLOCKING_SCOPE) || null;
       // Don't create rules here - let the schedule manager determine if blocking should be active
       // Just log what we loaded
       logger.info(`Loaded ${blockedSites.length} blocked sites (rules not yet applied)`);
@@ -34,39 +58,60 @@ export class BlockingManager {
   }
 
   /**
-   * Convert site pattern to Chrome URL filter for exception rules
-   * Uses explicit domain matching with urlFilter
-   * @param {string} pattern - User-provided pattern
+   * Convert a path exception pattern to the condition of its allow rule
+   * Anchored at the host like block patterns, so an exception can't be
+   * triggered by the same text appearing later in some other site's URL.
+   * @param {string} pattern - Path exception pattern, e.g. youtube.com/feed/*
    * @returns {object} Condition object for declarativeNetRequest exception
    */
   patternToExceptionCondition(pattern) {
-    // Remove protocol if present
-    pattern = pattern.replace(/^https?:\/\//, '');
-    
-    if (pattern.includes('/')) {
-      // Path-specific exception: music.youtube.com/browse
-      const [domain, ...pathParts] = pattern.split('/');
-      const path = pathParts.join('/');
+    const { host, path } = this.splitPattern(pattern);
+
+    return {
+      // Paths are prefixes and may use * wildcards
+      urlFilter: `||${host}/${path}`,
+      resourceTypes: ['main_frame', 'sub_frame', 'media']
+    };
+  }
+
+  /**
+   * Split a site or exception pattern into its host and path
+   * @param {string} pattern - e.g. "https://*.reddit.com/r/programming"
+   * @returns {object} { host, path } - lowercase host without protocol or leading "*.", path without the leading slash
+   */
+  splitPattern(pattern) {
+    const [host, ...pathParts] = pattern.trim().replace(/^https?:\/\//, '').split('/');
+
+    return {
+      // "*.example.com" and "example.com" cover the same hosts
+      host: host.toLowerCase().replace(/^\*\./, ''),
+      path: pathParts.join('/')
+    };
+  }
+
+  /**
+   * Convert site pattern to Chrome URL filter
+   * @param {string} pattern - User-provided pattern
+   * @param {string} type - PATTERN_TYPES value stored on the site (defaults to a plain pattern)
+   * @returns {object} URL filter for declarativeNetRequest
+   */
+  patternToFilter(pattern, type = PATTERN_TYPES.PATTERN) {
+    if (type === PATTERN_TYPES.REGEX) {
+      // Regex patterns are matched against the full URL as written
       return {
-        urlFilter: `*://${domain}/${path}*`,
+        regexFilter: pattern,
         resourceTypes: ['main_frame']
       };
-    } else {
-      // Domain-only exception: music.youtube.com
-      // Match the domain and all its subdomains explicitly
+    }
+
+    if (type === PATTERN_TYPES.KEYWORD) {
+      // Keywords match literally anywhere in the URL, including the query string
       return {
-        urlFilter: `*://${pattern}/*`,
+        regexFilter: escapeRegExp(pattern),
         resourceTypes: ['main_frame']
       };
     }
-  }
 
-  /**
-   * Convert site pattern to Chrome URL filter
-   * @param {string} pattern - User-provided pattern
-   * @returns {object} URL filter for declarativeNetRequest
-   */
-  patternToFilter(pattern) {
     // Remove protocol if present
     pattern = pattern.replace(/^https?:\/\//, '');
     
@@ -121,21 +166,26 @@ export class BlockingManager {
   /**
    * Create blocking rule from site entry
    * @param {object} site - Blocked site object
-   * @param {number} index - Rule index
+   * @param {number} ruleId - The site's rule ID from getRuleIds()
    * @returns {object} declarativeNetRequest rule
    */
-  createRule(site, index) {
-    const ruleId = this.RULE_ID_START + index;
-    const filter = this.patternToFilter(site.pattern);
+  createRule(site, ruleId) {
+    const filter = this.patternToFilter(site.pattern, site.type);
+    const hostExceptions = this.getHostExceptions(site);
     
     // Create redirect URL with blocked site info
     const redirectUrl = new URL(this.blockedPageUrl);
     redirectUrl.searchParams.set('url', site.pattern);
     redirectUrl.searchParams.set('id', site.id);
+    if (site.type) {
+      redirectUrl.searchParams.set('type', site.type);
+    }
     
     const rule = {
       id: ruleId,
-      priority: 1,
+      // Below the allow rules of path exceptions (priority 2) only when the site has
+      // some; otherwise above them, so other sites' exceptions can't lift this block
+      priority: this.getPathExceptions(site).length > 0 ? 1 : 3,
       action: {
         type: 'redirect',
         redirect: { url: redirectUrl.toString() }
@@ -145,66 +195,381 @@ export class BlockingManager {
         resourceTypes: ['main_frame'] // Only block main page navigation
       }
     };
-    
-    // If there are exceptions, we need to explicitly list which domains to block
-    // instead of using urlFilter which matches all subdomains
-    if (site.exceptions && site.exceptions.length > 0) {
-      // Extract the base domain from the pattern
-      const baseDomain = site.pattern.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-      
-      // Extract exception domains
-      const exceptionDomains = site.exceptions.map(exc => 
-        exc.replace(/^https?:\/\//, '').split('/')[0]
-      );
-      
-      // Use requestDomains to match the base domain (which includes subdomains)
-      // But exclude the exception domains explicitly
-      rule.condition.requestDomains = [baseDomain];
-      rule.condition.excludedRequestDomains = exceptionDomains;
-      
-      logger.info(`Created block rule with exceptions:`, {
-        pattern: site.pattern,
-        ruleId: ruleId,
-        requestDomains: [baseDomain],
-        excludedRequestDomains: exceptionDomains
-      });
+
+    // Host-only exceptions are carved out of this site's own rules
+    if (hostExceptions.length > 0) {
+      rule.condition.excludedRequestDomains = hostExceptions;
+    }
+
+    if (filter.regexFilter) {
+      // The pattern alone can't be turned back into the page, so regex and keyword
+      // rules hand the whole URL to the blocked page. It goes last, unencoded.
+      rule.condition.regexFilter = `^.*(?:${filter.regexFilter}).*$`;
+      rule.action.redirect = { regexSubstitution: `${redirectUrl.toString()}&target=\\0` };
     }
     
     return rule;
   }
 
+  /**
+   * Get a site's exceptions that name a whole host, e.g. music.youtube.com
+   * @param {object} site - Blocked site object
+   * @returns {Array<string>} Lowercase hosts, for the site's excludedRequestDomains
+   */
+  getHostExceptions(site) {
+    // Regex and keyword entries have no host or path to narrow, so they never have exceptions
+    if (site.type || !site.exceptions) {
+      return [];
+    }
+
+    return site.exceptions
+      .map(exception => this.splitPattern(exception))
+      .filter(({ path }) => !path)
+      .map(({ host }) => host);
+  }
+
+  /**
+   * Get a site's exceptions that name a path, e.g. youtube.com/feed/subscriptions
+   * @param {object} site - Blocked site object
+   * @returns {Array<string>} Exception patterns
+   */
+  getPathExceptions(site) {
+    if (site.type || !site.exceptions) {
+      return [];
+    }
+
+    return site.exceptions.filter(exception => this.splitPattern(exception).path);
+  }
+
+  /**
+   * Create the allow rules for a site's path exceptions
+   * Chrome can't exclude paths from a rule, so each one is an allow rule at
+   * priority 2, above the block rules of sites with path exceptions (priority 1)
+   * and below budget session exemptions (priority 100). Sites without path
+   * exceptions block at priority 3, out of these rules' reach; host-only
+   * exceptions are excludedRequestDomains on the site's own rules instead.
+   * @param {object} site - Blocked site object
+   * @param {object} ruleIds - Map from getRuleIds()
+   * @returns {Array} declarativeNetRequest rules
+   */
+  createExceptionRules(site, ruleIds) {
+    return this.getPathExceptions(site).map(exception => ({
+      id: ruleIds[this.exceptionRuleKey(site.id, exception)],
+      priority: 2,
+      action: { type: 'allow' },
+      condition: this.patternToExceptionCondition(exception)
+    }));
+  }
+
+  /**
+   * Key an exception's rule ID is stored under in the rule ID map
+   * @param {string} siteId
+   * @param {string} exception - Exception pattern
+   * @returns {string}
+   */
+  exceptionRuleKey(siteId, exception) {
+    return `${siteId}|${exception}`;
+  }
+
+  /**
+   * Create the rules that block a site inside other pages
+   * Sites opt in with blockFrames (embedded iframes, which get a small placeholder
+   * instead of the full blocked page) and blockMedia (audio and video requests).
+   * @param {object} site - Blocked site object
+   * @param {object} blockRule - The site's page rule from createRule(); its URL matching is reused
+   * @returns {Array} declarativeNetRequest rules (empty unless the site opted in)
+   */
+  createSubresourceRules(site, blockRule) {
+    const { condition } = blockRule;
+    const rules = [];
+
+    if (site.blockFrames) {
+      const placeholderUrl = new URL(this.framePlaceholderUrl);
+      placeholderUrl.searchParams.set('url', site.pattern);
+
+      rules.push({
+        id: blockRule.id + 1,
+        priority: blockRule.priority,
+        action: {
+          type: 'redirect',
+          redirect: { url: placeholderUrl.toString() }
+        },
+        condition: { ...condition, resourceTypes: ['sub_frame'] }
+      });
+    }
+
+    if (site.blockMedia) {
+      rules.push({
+        id: blockRule.id + 2,
+        priority: blockRule.priority,
+        action: { type: 'block' },
+        condition: { ...condition, resourceTypes: ['media'] }
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Count the rules a set of sites needs while blocking is on
+   * @param {Array} sites - Blocked site objects
+   * @returns {object} { total, regex } rule counts
+   */
+  countSiteRules(sites) {
+    return sites.reduce((counts, site) => {
+      const rules = 1 + (site.blockFrames ? 1 : 0) + (site.blockMedia ? 1 : 0);
+      counts.total += rules;
+      // Regex and keyword entries compile to regexFilter, which has its own, smaller quota
+      if (site.type) {
+        counts.regex += rules;
+      } else {
+        counts.total += this.getPathExceptions(site).length;
+      }
+      return counts;
+    }, { total: 0, regex: 0 });
+  }
+
+  /**
+   * Get each blocked site's rule ID, assigning IDs to sites that don't have one
+   * A site keeps its ID for as long as it exists, so adding or removing one site
+   * never renumbers the rules of the others. Each site owns RULE_ID_STRIDE
+   * consecutive IDs (see createSubresourceRules()); each path exception owns one
+   * ID, stored under exceptionRuleKey().
+   * @param {Array} blockedSites - Array of blocked site objects
+   * @returns {Promise<object>} Map of site ID (or exception key) to rule ID
+   */
+  async getRuleIds(blockedSites) {
+    const stored = await this.getStoredRuleIds();
+    const ruleIds = {};
+    const wanted = blockedSites.flatMap(site => [
+      { key: site.id, size: this.RULE_ID_STRIDE },
+      ...this.getPathExceptions(site).map(exception => ({
+        key: this.exceptionRuleKey(site.id, exception),
+        size: 1
+      }))
+    ]);
+
+    // Forget sites and exceptions that were removed
+    let nextId = this.RULE_ID_START;
+    for (const { key, size } of wanted) {
+      if (stored[key]) {
+        ruleIds[key] = stored[key];
+        nextId = Math.max(nextId, stored[key] + size);
+      }
+    }
+
+    for (const { key, size } of wanted) {
+      if (!ruleIds[key]) {
+        ruleIds[key] = nextId;
+        nextId += size;
+      }
+    }
+
+    if (ruleSignature(ruleIds) !== ruleSignature(stored)) {
+      await storage.set(STORAGE_KEYS.RULE_IDS, ruleIds);
+    }
+    return ruleIds;
+  }
+
+  /**
+   * Get the rule IDs assigned so far, without assigning any
+   * Sites added since the last rule sync have no entry yet.
+   * @returns {Promise<object>} Map of site ID (or exception key) to rule ID
+   */
+  async getStoredRuleIds() {
+    return await storage.get(STORAGE_KEYS.RULE_IDS) || {};
+  }
+
+  /**
+   * Report how much of Chrome's dynamic and session rule quota is in use
+   * @param {Array|null} blockedSites - Block list to count, defaults to the stored one
+   * @returns {Promise<object>} { used, limit, regexUsed, regexLimit, needed, regexNeeded, sessionRules };
+   *   used counts installed rules, needed counts what the block list takes while blocking is on
+   */
+  async getRuleCapacity(blockedSites = null) {
+    const sites = blockedSites || await this.getBlockedSites();
+    const [dynamicRules, sessionRules] = await Promise.all([
+      chrome.declarativeNetRequest.getDynamicRules(),
+      chrome.declarativeNetRequest.getSessionRules()
+    ]);
+    const installed = [...dynamicRules, ...sessionRules];
+    const needed = this.countSiteRules(sites.filter(site => site.enabled));
+
+    return {
+      used: installed.length,
+      limit: chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES ?? DEFAULT_RULE_LIMIT,
+      regexUsed: installed.filter(rule => rule.condition.regexFilter).length,
+      regexLimit: chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES ?? DEFAULT_REGEX_RULE_LIMIT,
+      needed: needed.total,
+      regexNeeded: needed.regex,
+      sessionRules: sessionRules.length
+    };
+  }
+
+  /**
+   * Make sure a changed block list still fits Chrome's rule quota
+   * Budget sessions share the quota, so their current rules are counted too.
+   * @param {Array} blockedSites - The block list as it would be after the change
+   * @throws {Error} When the block list would need more rules than Chrome allows
+   */
+  async assertRuleCapacity(blockedSites) {
+    const capacity = await this.getRuleCapacity(blockedSites);
+
+    if (capacity.needed + capacity.sessionRules > capacity.limit) {
+      throw new Error(`Rule limit reached: your block list would need ${capacity.needed} of Chrome's ${capacity.limit} rules. Remove or disable some sites first.`);
+    }
+    if (capacity.regexNeeded > capacity.regexLimit) {
+      throw new Error(`Regex rule limit reached: regex and keyword entries would need ${capacity.regexNeeded} of Chrome's ${capacity.regexLimit} regex rules.`);
+    }
+  }
+
+  /**
+   * Make sure a changed allowlist still fits Chrome's rule quota
+   * Allowlist mode installs a catch-all rule plus one rule per allowed site,
+   * whatever the block list holds.
+   * @param {Array} allowedSites - The allowlist as it would be after the change
+   * @throws {Error} When the allowlist would need more rules than Chrome allows
+   */
+  async assertAllowlistCapacity(allowedSites) {
+    const capacity = await this.getRuleCapacity();
+    const rules = this.createAllowlistRules(allowedSites);
+    const regexNeeded = rules.filter(rule => rule.condition.regexFilter).length;
+
+    if (rules.length + capacity.sessionRules > capacity.limit) {
+      throw new Error(`Rule limit reached: your allowlist would need ${rules.length} of Chrome's ${capacity.limit} rules. Remove some allowed sites first.`);
+    }
+    if (regexNeeded > capacity.regexLimit) {
+      throw new Error(`Regex rule limit reached: your allowlist would need ${regexNeeded} of Chrome's ${capacity.regexLimit} regex rules.`);
+    }
+  }
+
+  /**
+   * Bring the installed dynamic rules in line with the given set
+   * Only rules that are new, changed or gone are sent to Chrome, so changing one
+   * site doesn't reinstall the rules of every other site.
+   * @param {Array} rules - Every dynamic rule that should be installed
+   * @returns {Promise<object>} { added, removed } rule counts
+   */
+  async syncDynamicRules(rules) {
+    const currentRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const currentSignatures = new Map(currentRules.map(rule => [rule.id, ruleSignature(rule)]));
+    const wantedIds = new Set(rules.map(rule => rule.id));
+
+    const addRules = rules.filter(rule => currentSignatures.get(rule.id) !== ruleSignature(rule));
+    const changedIds = new Set(addRules.map(rule => rule.id));
+    const removeRuleIds = currentRules
+      .filter(rule => !wantedIds.has(rule.id) || changedIds.has(rule.id))
+      .map(rule => rule.id);
+
+    if (addRules.length > 0 || removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    }
+
+    return { added: addRules.length, removed: removeRuleIds.length };
+  }
+
+  /**
+   * Check whether a site is covered by the current schedule scope
+   * @param {object} site - Blocked site object
+   * @returns {boolean}
+   */
+  isSiteInScope(site) {
+    if (!this.blockingScope || this.blockingScope.all) {
+      return true;
+    }
+    const { siteIds = [], groupIds = [] } = this.blockingScope;
+    return siteIds.includes(site.id) || (!!site.groupId && groupIds.includes(site.groupId));
+  }
+
+  /**
+   * Get the sites that should have blocking rules right now
+   * @param {Array} blockedSites - Array of blocked site objects
+   * @returns {Promise<Array>} Enabled sites in enabled groups that the schedule scope covers
+   */
+  async getEnforcedSites(blockedSites) {
+    const groups = await this.getSiteGroups();
+    const disabledGroupIds = new Set(groups.filter(g => !g.enabled).map(g => g.id));
+
+    return blockedSites.filter(site =>
+      site.enabled && !disabledGroupIds.has(site.groupId) && this.isSiteInScope(site)
+    );
+  }
+
+  /**
+   * Create the rules for allowlist focus mode
+   * A priority-1 catch-all redirects every http(s) page load to the blocked page,
+   * and priority-2 allow rules let the allowed sites through. Non-web URLs such as
+   * chrome:// and extension pages (see isEssentialUrl) never match the catch-all.
+   * @param {Array} allowedSites - Array of allowed site objects
+   * @returns {Array} declarativeNetRequest rules
+   */
+  createAllowlistRules(allowedSites) {
+    const redirectUrl = new URL(this.blockedPageUrl);
+    redirectUrl.searchParams.set('mode', 'allowlist');
+
+    const catchAllRule = {
+      id: this.RULE_ID_START,
+      priority: 1,
+      action: {
+        type: 'redirect',
+        // The regex matches the whole URL, so the substitution replaces all of it
+        redirect: { regexSubstitution: `${redirectUrl.toString()}&url=\\1` }
+      },
+      condition: {
+        regexFilter: '^https?://([^/?#]+).*$',
+        resourceTypes: ['main_frame']
+      }
+    };
+
+    const allowRules = allowedSites.map((site, index) => ({
+      id: this.RULE_ID_START + 1 + index,
+      priority: 2,
+      action: { type: 'allow' },
+      condition: {
+        ...this.patternToFilter(site.pattern),
+        // Without resourceTypes DNR skips main_frame, and the catch-all would win
+        resourceTypes: ['main_frame']
+      }
+    }));
+
+    return [catchAllRule, ...allowRules];
+  }
+
   /**
    * Update all blocking rules
+   * In allowlist mode the block list (and schedule site scope) is ignored and
+   * only the allowlist rules are installed.
    * @param {Array} blockedSites - Array of blocked site objects
    */
   async updateBlockingRules(blockedSites) {
     try {
-      // Filter to only enabled sites
-      const enabledSites = blockedSites.filter(site => site.enabled);
-      
-      // Get current rules
-      const currentRules = await chrome.declarativeNetRequest.getDynamicRules();
-      const currentRuleIds = currentRules.map(rule => rule.id);
-      
       // Create blocking rules AND exception rules
       const allRules = [];
-      let ruleIdCounter = this.RULE_ID_START;
+
+      if (await this.getFocusMode() === 'allowlist') {
+        allRules.push(...this.createAllowlistRules(await this.getAllowedSites()));
+      } else {
+        // Filter to enabled sites that the running schedules cover
+        const enabledSites = await this.getEnforcedSites(blockedSites);
+        const ruleIds = await this.getRuleIds(blockedSites);
+
+        enabledSites.forEach(site => {
+          // Add the main blocking rule
+          const blockRule = this.createRule(site, ruleIds[site.id]);
+          allRules.push(blockRule);
+
+          // Embedded frames and media, for sites that opted in
+          allRules.push(...this.createSubresourceRules(site, blockRule));
+          
+          // Path exceptions are higher-priority allow rules
+          allRules.push(...this.createExceptionRules(site, ruleIds));
+        });
+      }
       
-      enabledSites.forEach((site, index) => {
-        // Add the main blocking rule
-        const blockRule = this.createRule(site, index);
-        allRules.push(blockRule);
-        
-        // NO LONGER CREATING ALLOW RULES - requestDomains in block rule handles exceptions
-      });
+      // Only send Chrome the rules that changed
+      const { added, removed } = await this.syncDynamicRules(allRules);
       
-      // Update rules atomically
-      await chrome.declarativeNetRequest.updateDynamicRules({
-        removeRuleIds: currentRuleIds,
-        addRules: allRules
-      });
-      
-      logger.info(`Updated blocking rules: ${allRules.length} total rules (blocks + exceptions)`);
+      logger.info(`Updated blocking rules: ${allRules.length} total rules (${added} added, ${removed} removed)`);
       
       // Debug: Log exception rules for troubleshooting
       const exceptionRules = allRules.filter(r => r.action.type === 'allow');
@@ -227,16 +592,27 @@ export class BlockingManager {
   /**
    * Add a single site to block list
    * @param {string} pattern - URL pattern to block
-   * @returns {object} Created site object
+   * @param {object} options - Optional { groupId, packId, type }; packId marks the site as coming from a blocklist pack,
+   *   type is a PATTERN_TYPES value
+   * @returns {object} Created (or, for packs and re-adds, existing) site object
    */
-  async addBlockedSite(pattern) {
+  async addBlockedSite(pattern, options = {}) {
     // Validate pattern
     if (!pattern || typeof pattern !== 'string') {
       throw new Error('Invalid pattern');
     }
+
+    const type = options.type || PATTERN_TYPES.PATTERN;
+    if (!Object.values(PATTERN_TYPES).includes(type)) {
+      throw new Error('Invalid pattern type');
+    }
     
-    // Check if essential URL
-    if (this.isEssentialUrl(pattern)) {
+    if (type === PATTERN_TYPES.REGEX) {
+      await this.validateRegexPattern(pattern);
+    } else if (type === PATTERN_TYPES.KEYWORD) {
+      this.validateKeyword(pattern);
+    } else if (this.isEssentialUrl(pattern)) {
+      // Check if essential URL
       throw new Error('Cannot block essential browser pages');
     }
     
@@ -244,36 +620,239 @@ export class BlockingManager {
       // Get current blocked sites
       const blockedSites = await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
       
-      // Check for duplicates
-      const exists = blockedSites.some(site => site.pattern === pattern);
-      if (exists) {
-        throw new Error('Site already blocked');
+      // Re-adding an existing pattern only updates where it came from
+      const { site, added } = this.placeSite(blockedSites, pattern, type, options);
+      if (!added) {
+        await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+        return site;
       }
       
-      // Create new site entry
-      const newSite = {
-        id: crypto.randomUUID(),
-        pattern: pattern,
-        enabled: true,
-        addedDate: Date.now(),
-        blockCount: 0
-      };
-      
-      // Add to list
-      blockedSites.push(newSite);
+      // Save, if Chrome has room for the site's rules
+      await this.assertRuleCapacity(blockedSites);
       await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
       
-      // Update rules
-      await this.updateBlockingRules(blockedSites);
+      // Update rules (only while blocking is on)
+      await this.refreshRulesIfEnabled();
+
+      // Tabs already on the site only hit the new rule when they navigate
+      await this.sweepOpenTabs();
       
       logger.info(`Added blocked site: ${pattern}`);
-      return newSite;
+      return site;
     } catch (error) {
       logger.error('Failed to add blocked site:', error);
       throw error;
     }
   }
 
+  /**
+   * Put a site on an in-memory block list, or merge it into the matching entry
+   * The one add path shared by addBlockedSite() and addBlocklistPack(); callers
+   * check capacity, save the list and refresh rules.
+   * @param {Array} blockedSites - Block list to add to (modified in place)
+   * @param {string} pattern - URL pattern to block
+   * @param {string} type - PATTERN_TYPES value
+   * @param {object} options - Optional { groupId, packId }
+   * @returns {object} { site, added } - added is false when an existing entry was reused
+   */
+  placeSite(blockedSites, pattern, type, options = {}) {
+    const existing = blockedSites.find(site =>
+      site.pattern === pattern && (site.type || PATTERN_TYPES.PATTERN) === type
+    );
+    if (existing) {
+      return { site: this.mergeDuplicateSite(existing, options.packId), added: false };
+    }
+
+    const site = this.createSiteEntry(pattern, type, options);
+    blockedSites.push(site);
+    return { site, added: true };
+  }
+
+  /**
+   * Build a new block list entry
+   * @param {string} pattern - URL pattern to block
+   * @param {string} type - PATTERN_TYPES value
+   * @param {object} options - Optional { groupId, packId }
+   * @returns {object} Site object
+   */
+  createSiteEntry(pattern, type, options = {}) {
+    const site = {
+      id: crypto.randomUUID(),
+      pattern: pattern,
+      enabled: true,
+      addedDate: Date.now(),
+      blockCount: 0,
+      groupId: options.groupId || null
+    };
+
+    // Plain patterns keep the original shape; only regex and keyword entries carry a type
+    if (type !== PATTERN_TYPES.PATTERN) {
+      site.type = type;
+    }
+
+    // Only pack-sourced sites carry packIds; manual entries never do
+    if (options.packId) {
+      site.packIds = [options.packId];
+    }
+
+    return site;
+  }
+
+  /**
+   * Check that a regex pattern compiles and that Chrome can use it as a rule
+   * DNR uses RE2, which rejects some JavaScript syntax (lookarounds,
+   * backreferences) and caps how much memory a compiled regex may take.
+   * @param {string} pattern - Regular expression to block
+   * @throws {Error} With a message suitable for showing to the user
+   */
+  async validateRegexPattern(pattern) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+
+    // Check the expression in the form createRule() installs it
+    const result = await chrome.declarativeNetRequest.isRegexSupported({
+      regex: `^.*(?:${pattern}).*$`,
+      isCaseSensitive: false
+    });
+
+    if (!result.isSupported) {
+      if (result.reason === 'memoryLimitExceeded') {
+        throw new Error('Regular expression is too complex for Chrome to block with. Try a simpler pattern.');
+      }
+      throw new Error('Chrome does not support this regular expression (lookaheads, lookbehinds and backreferences are not allowed)');
+    }
+  }
+
+  /**
+   * Check that a keyword can be found in a URL as typed
+   * Browsers percent-encode spaces and non-ASCII characters in URLs, so a
+   * keyword containing them would never match.
+   * @param {string} keyword - Text to block
+   * @throws {Error} With a message suitable for showing to the user
+   */
+  validateKeyword(keyword) {
+    if (keyword.length < 3) {
+      throw new Error('Keywords must be at least 3 characters long');
+    }
+    if (/\s/.test(keyword)) {
+      throw new Error('Keywords can\'t contain spaces; add each word as its own keyword');
+    }
+    if (/[^\x21-\x7e]/.test(keyword)) {
+      throw new Error('Keywords can only use plain ASCII characters');
+    }
+  }
+
+  /**
+   * Handle adding a pattern that is already blocked
+   * A pack re-adding a pack-sourced site records itself as another source, so the
+   * site survives until every pack that added it is removed. Adding it manually
+   * claims the site, and pack removal will no longer touch it.
+   * @param {object} site - Existing site entry (updated in place; the caller saves it)
+   * @param {string} packId - Pack adding the site, if any
+   * @returns {object} The existing site
+   */
+  mergeDuplicateSite(site, packId) {
+    const isPackSourced = site.packIds && site.packIds.length > 0;
+
+    if (packId) {
+      if (isPackSourced && !site.packIds.includes(packId)) {
+        site.packIds.push(packId);
+      }
+      return site;
+    }
+
+    if (!isPackSourced) {
+      throw new Error('Site already blocked');
+    }
+
+    delete site.packIds;
+    logger.info(`Claimed pack site as manual entry: ${site.pattern}`);
+    return site;
+  }
+
+  /**
+   * Get blocklist packs with whether each one is currently added
+   * @returns {Promise<Array>}
+   */
+  async getBlocklistPacks() {
+    const blockedSites = await this.getBlockedSites();
+    const addedPackIds = new Set(blockedSites.flatMap(site => site.packIds || []));
+
+    return Object.values(BLOCKLIST_PACKS).map(pack => ({
+      id: pack.id,
+      name: pack.name,
+      description: pack.description,
+      siteCount: pack.sites.length,
+      added: addedPackIds.has(pack.id)
+    }));
+  }
+
+  /**
+   * Add every site from a blocklist pack
+   * The whole pack is checked against the rule quota and saved in one write, so
+   * either every site goes in or none does. Rules and open tabs are then updated
+   * once, and only while blocking is on.
+   * @param {string} packId
+   * @returns {Promise<object>} { added, skipped } counts
+   */
+  async addBlocklistPack(packId) {
+    const pack = BLOCKLIST_PACKS[packId];
+    if (!pack) {
+      throw new Error('Blocklist pack not found');
+    }
+
+    const blockedSites = await this.getBlockedSites();
+    const patterns = [...new Set(pack.sites)];
+    let added = 0;
+
+    for (const pattern of patterns) {
+      const placed = this.placeSite(blockedSites, pattern, PATTERN_TYPES.PATTERN, { packId, groupId: pack.groupId });
+      if (placed.added) {
+        added++;
+      }
+    }
+
+    await this.assertRuleCapacity(blockedSites);
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+    await this.refreshRulesIfEnabled();
+    await this.sweepOpenTabs();
+
+    logger.info(`Added blocklist pack ${packId}: ${added} new sites`);
+    return { added, skipped: patterns.length - added };
+  }
+
+  /**
+   * Remove a blocklist pack, deleting only sites no other pack still needs
+   * Manually added sites are never removed.
+   * @param {string} packId
+   * @returns {Promise<object>} { removed } count
+   */
+  async removeBlocklistPack(packId) {
+    const blockedSites = await this.getBlockedSites();
+    const remaining = [];
+    let removed = 0;
+
+    blockedSites.forEach(site => {
+      if (site.packIds && site.packIds.includes(packId)) {
+        site.packIds = site.packIds.filter(id => id !== packId);
+        if (site.packIds.length === 0) {
+          removed++;
+          return;
+        }
+      }
+      remaining.push(site);
+    });
+
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, remaining);
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Removed blocklist pack ${packId}: ${removed} sites deleted`);
+    return { removed };
+  }
+
   /**
    * Remove a site from block list
    * @param {string} siteId - Site ID to remove
@@ -308,6 +887,9 @@ export class BlockingManager {
       }
       
       site.enabled = enabled;
+      if (enabled) {
+        await this.assertRuleCapacity(blockedSites);
+      }
       await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
       await this.updateBlockingRules(blockedSites);
       
@@ -332,7 +914,9 @@ export class BlockingManager {
         await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
         
         // Record in statistics
-        await statisticsManager.recordBlock(siteId, site.pattern);
+        const groups = await this.getSiteGroups();
+        const group = groups.find(g => g.id === site.groupId) || null;
+        await statisticsManager.recordBlock(siteId, site.pattern, group, site.type);
       }
     } catch (error) {
       logger.error('Failed to increment block count:', error);
@@ -347,6 +931,270 @@ export class BlockingManager {
     return await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
   }
 
+  /**
+   * Rebuild the rules from storage, but only while blocking is active
+   */
+  async refreshRulesIfEnabled() {
+    if (await storage.get('blockingEnabled')) {
+      await this.updateBlockingRules(await this.getBlockedSites());
+    }
+  }
+
+  /**
+   * Get the current focus mode
+   * @returns {Promise<string>} 'blocklist' or 'allowlist'
+   */
+  async getFocusMode() {
+    return await storage.get(STORAGE_KEYS.FOCUS_MODE) || 'blocklist';
+  }
+
+  /**
+   * Switch between blocking listed sites and allowing only listed sites
+   * Schedules still decide when either mode is in effect.
+   * @param {string} mode - 'blocklist' or 'allowlist'
+   */
+  async setFocusMode(mode) {
+    if (!['blocklist', 'allowlist'].includes(mode)) {
+      throw new Error('Invalid focus mode');
+    }
+
+    if (mode === 'allowlist') {
+      await this.assertAllowlistCapacity(await this.getAllowedSites());
+    }
+
+    await storage.set(STORAGE_KEYS.FOCUS_MODE, mode);
+
+    await this.refreshRulesIfEnabled();
+    logger.info(`Focus mode set to ${mode}`);
+  }
+
+  /**
+   * Get sites that stay reachable in allowlist mode
+   * @returns {Promise<Array>}
+   */
+  async getAllowedSites() {
+    return await storage.get(STORAGE_KEYS.ALLOWED_SITES) || [];
+  }
+
+  /**
+   * Add a site to the allowlist
+   * @param {string} pattern - URL pattern to allow
+   * @returns {Promise<object>} Created allowed site object
+   */
+  async addAllowedSite(pattern) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('Invalid pattern');
+    }
+
+    const normalized = pattern.trim().replace(/^https?:\/\//, '');
+    const allowedSites = await this.getAllowedSites();
+
+    if (allowedSites.some(site => site.pattern === normalized)) {
+      throw new Error('Site already allowed');
+    }
+
+    const newSite = {
+      id: crypto.randomUUID(),
+      pattern: normalized,
+      addedDate: Date.now()
+    };
+
+    allowedSites.push(newSite);
+    await this.assertAllowlistCapacity(allowedSites);
+    await storage.set(STORAGE_KEYS.ALLOWED_SITES, allowedSites);
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Added allowed site: ${normalized}`);
+    return newSite;
+  }
+
+  /**
+   * Remove a site from the allowlist
+   * @param {string} siteId
+   */
+  async removeAllowedSite(siteId) {
+    const allowedSites = await this.getAllowedSites();
+    await storage.set(STORAGE_KEYS.ALLOWED_SITES, allowedSites.filter(site => site.id !== siteId));
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Removed allowed site: ${siteId}`);
+  }
+
+  /**
+   * Get all site groups
+   * @returns {Promise<Array>}
+   */
+  async getSiteGroups() {
+    const groups = await storage.get(STORAGE_KEYS.SITE_GROUPS);
+    return groups || DEFAULTS.siteGroups.map(group => ({ ...group }));
+  }
+
+  /**
+   * Create a new site group
+   * @param {string} name - Group name
+   * @returns {Promise<object>} Created group
+   */
+  async createSiteGroup(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Group name is required');
+    }
+
+    const groups = await this.getSiteGroups();
+    if (groups.some(g => g.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error('A group with this name already exists');
+    }
+
+    const group = {
+      id: crypto.randomUUID(),
+      name: trimmed,
+      enabled: true,
+      customBudget: null
+    };
+
+    groups.push(group);
+    await storage.set(STORAGE_KEYS.SITE_GROUPS, groups);
+
+    logger.info(`Created site group: ${trimmed}`);
+    return group;
+  }
+
+  /**
+   * Update a site group's name, enabled state or budget
+   * @param {string} groupId
+   * @param {object} updates - Any of { name, enabled, customBudget }
+   * @returns {Promise<object>} Updated group
+   */
+  async updateSiteGroup(groupId, updates) {
+    const groups = await this.getSiteGroups();
+    const group = groups.find(g => g.id === groupId);
+
+    if (!group) {
+      throw new Error('Group not found');
+    }
+
+    if (updates.name !== undefined) {
+      const trimmed = updates.name.trim();
+      if (!trimmed) {
+        throw new Error('Group name is required');
+      }
+      group.name = trimmed;
+    }
+
+    if (updates.enabled !== undefined) {
+      group.enabled = updates.enabled;
+    }
+
+    if (updates.customBudget !== undefined) {
+      group.customBudget = updates.customBudget > 0 ? updates.customBudget : null;
+    }
+
+    await storage.set(STORAGE_KEYS.SITE_GROUPS, groups);
+
+    // Disabling a group removes its sites' rules (and enabling restores them)
+    if (updates.enabled !== undefined) {
+      await this.refreshRulesIfEnabled();
+    }
+
+    logger.info(`Updated site group ${groupId}`, updates);
+    return group;
+  }
+
+  /**
+   * Delete a site group; its sites stay blocked but become ungrouped
+   * @param {string} groupId
+   */
+  async deleteSiteGroup(groupId) {
+    const groups = await this.getSiteGroups();
+    await storage.set(STORAGE_KEYS.SITE_GROUPS, groups.filter(g => g.id !== groupId));
+
+    const blockedSites = await this.getBlockedSites();
+    blockedSites.forEach(site => {
+      if (site.groupId === groupId) {
+        site.groupId = null;
+      }
+    });
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Deleted site group: ${groupId}`);
+  }
+
+  /**
+   * Move a site into a group
+   * @param {string} siteId
+   * @param {string|null} groupId - Target group, or null to ungroup
+   */
+  async setSiteGroup(siteId, groupId) {
+    const blockedSites = await this.getBlockedSites();
+    const site = blockedSites.find(s => s.id === siteId);
+
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    if (groupId) {
+      const groups = await this.getSiteGroups();
+      if (!groups.some(g => g.id === groupId)) {
+        throw new Error('Group not found');
+      }
+    }
+
+    site.groupId = groupId || null;
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+
+    // Group membership affects both group enablement and schedule scope
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Moved site ${siteId} to group ${groupId || '(none)'}`);
+  }
+
+  /**
+   * Set a site's own daily time budget, enforced alongside the global budget
+   * @param {string} siteId
+   * @param {number|null} minutes - Daily minutes, or null to use only the global budget
+   */
+  async setSiteBudget(siteId, minutes) {
+    const blockedSites = await this.getBlockedSites();
+    const site = blockedSites.find(s => s.id === siteId);
+
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440)) {
+      throw new Error('Site budget must be between 1 and 1440 minutes');
+    }
+
+    site.customBudget = minutes;
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+
+    logger.info(`Set budget for site ${siteId}: ${minutes === null ? 'global only' : `${minutes} min`}`);
+  }
+
+  /**
+   * Choose whether a site is also blocked inside other pages
+   * @param {string} siteId
+   * @param {object} options - { blockFrames, blockMedia }
+   */
+  async setSiteEmbedBlocking(siteId, { blockFrames, blockMedia }) {
+    const blockedSites = await this.getBlockedSites();
+    const site = blockedSites.find(s => s.id === siteId);
+
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    site.blockFrames = !!blockFrames;
+    site.blockMedia = !!blockMedia;
+    await this.assertRuleCapacity(blockedSites);
+    await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
+    await this.refreshRulesIfEnabled();
+
+    logger.info(`Set embed blocking for site ${siteId}`, { blockFrames: site.blockFrames, blockMedia: site.blockMedia });
+  }
+
   /**
    * Get current blocking rules (for debugging)
    * @returns {Array}
@@ -356,26 +1204,184 @@ export class BlockingManager {
   }
 
   /**
-   * Add tab to exemption list (won't be blocked during budget session)
-   * @param {number} tabId
-   * @param {string} pattern - Site pattern to allow for this tab
+   * Explain how the blocking rules treat a URL
+   * Rebuilds the rules updateBlockingRules() would install and matches them in
+   * JavaScript, so the answer doesn't depend on blocking being on right now.
+   * Read-only: sites that have no rule ID yet report null rule IDs.
+   * @param {string} url - Full URL to test
+   * @returns {Promise<object>} { url, mode, essential, blockingEnabled, matches, allowedSite, sessionRule, blocked };
+   *   allowlist mode also reports catchAllRuleId and allowRuleId
+   */
+  async testUrl(url) {
+    try {
+      new URL(url);
+    } catch (error) {
+      throw new Error('Enter a full URL, e.g. https://www.youtube.com/watch?v=...');
+    }
+
+    const mode = await this.getFocusMode();
+    const blockingEnabled = !!(await storage.get('blockingEnabled'));
+    const result = {
+      url,
+      mode,
+      essential: this.isEssentialUrl(url),
+      blockingEnabled,
+      matches: [],
+      allowedSite: null,
+      sessionRule: null,
+      blocked: false
+    };
+
+    if (result.essential) {
+      return result;
+    }
+
+    if (mode === 'allowlist') {
+      const allowedSites = await this.getAllowedSites();
+      const [catchAllRule, ...allowRules] = this.createAllowlistRules(allowedSites);
+      const allowIndex = allowRules.findIndex(rule => matchesCondition(url, rule.condition));
+      result.allowedSite = allowIndex === -1 ? null : allowedSites[allowIndex];
+      result.allowRuleId = allowIndex === -1 ? null : allowRules[allowIndex].id;
+      result.catchAllRuleId = matchesCondition(url, catchAllRule.condition) ? catchAllRule.id : null;
+    } else {
+      const blockedSites = await this.getBlockedSites();
+      const enforcedSites = await this.getEnforcedSites(blockedSites);
+      const ruleIds = await this.getStoredRuleIds();
+      const groups = await this.getSiteGroups();
+
+      const host = new URL(url).hostname.toLowerCase();
+
+      for (const site of blockedSites) {
+        const rule = this.createRule(site, ruleIds[site.id]);
+        // Match the site itself first, then see which of its exceptions let the URL through
+        const { excludedRequestDomains, ...condition } = rule.condition;
+        if (!matchesCondition(url, condition)) continue;
+
+        const enforced = enforcedSites.includes(site);
+        let exception = null;
+        let exceptionRuleId = null;
+
+        // Host-only exceptions are excluded from the block rule itself
+        const hostException = (excludedRequestDomains || []).find(domain => hostMatchesDomains(host, [domain]));
+        if (hostException) {
+          exception = site.exceptions.find(pattern => this.splitPattern(pattern).host === hostException);
+          exceptionRuleId = rule.id ?? null;
+        } else {
+          // Path exception allow rules outrank the block rule
+          const exceptionRules = this.createExceptionRules(site, ruleIds);
+          const exceptionIndex = exceptionRules.findIndex(allowRule => matchesCondition(url, allowRule.condition));
+          if (exceptionIndex !== -1) {
+            exception = this.getPathExceptions(site)[exceptionIndex];
+            exceptionRuleId = exceptionRules[exceptionIndex].id ?? null;
+          }
+        }
+
+        result.matches.push({
+          siteId: site.id,
+          pattern: site.pattern,
+          type: site.type || PATTERN_TYPES.PATTERN,
+          enabled: site.enabled,
+          group: groups.find(group => group.id === site.groupId) || null,
+          inScope: this.isSiteInScope(site),
+          enforced,
+          ruleId: enforced ? rule.id ?? null : null,
+          condition: rule.condition,
+          exception,
+          exceptionRuleId
+        });
+      }
+    }
+
+    // Budget sessions allow their site in every tab through session rules
+    const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+    result.sessionRule = sessionRules.find(rule =>
+      this.exemptRuleIds.has(rule.id) && matchesCondition(url, rule.condition)
+    ) || null;
+
+    const ruleApplies = mode === 'allowlist'
+      ? result.catchAllRuleId !== null && !result.allowedSite
+      : result.matches.some(match => match.enforced && !match.exception);
+    result.blocked = blockingEnabled && ruleApplies && !result.sessionRule;
+
+    return result;
+  }
+
+  /**
+   * Send open tabs that the installed rules now block to the blocked page
+   * DNR rules only act on new navigations, so a tab already on a site would
+   * stay usable until reloaded. Tabs an exception or a budget session covers
+   * are left alone, since their allow rules win the match.
+   * @returns {Promise<number>} Number of tabs redirected
+   */
+  async sweepOpenTabs() {
+    if (!(await storage.get('blockingEnabled'))) {
+      return 0;
+    }
+
+    let redirected = 0;
+    try {
+      const rules = [
+        ...await chrome.declarativeNetRequest.getDynamicRules(),
+        ...await chrome.declarativeNetRequest.getSessionRules()
+      ];
+      const tabs = await chrome.tabs.query({});
+
+      for (const tab of tabs) {
+        if (!tab.url || !/^https?:/.test(tab.url)) continue;
+
+        const rule = findMatchingRule(tab.url, rules);
+        if (rule?.action.type !== 'redirect') continue;
+
+        let url = getRedirectUrl(rule, tab.url);
+        if (!url) continue;
+
+        // Keep the page the tab was on, last and unencoded, like regex and keyword redirects
+        if (!url.includes('&target=')) {
+          url += `&target=${tab.url}`;
+        }
+
+        try {
+          await chrome.tabs.update(tab.id, { url });
+          redirected++;
+        } catch (error) {
+          logger.error(`Failed to redirect open tab ${tab.id}:`, error);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to sweep open tabs:', error);
+    }
+
+    if (redirected > 0) {
+      logger.info(`Redirected ${redirected} open tab(s) to the blocked page`);
+    }
+    return redirected;
+  }
+
+  /**
+   * Exempt a site from blocking in every tab while it has a budget session
+   * @param {string} pattern - Site pattern to allow
+   * @param {string} type - PATTERN_TYPES value of the site
+   * @returns {Promise<number>} ID of the session rule, for removeExemptSite()
    */
-  async addExemptTab(tabId, pattern) {
-    logger.info('Adding tab to exemption list:', tabId, pattern);
-    this.exemptTabs.add(tabId);
+  async addExemptSite(pattern, type = PATTERN_TYPES.PATTERN) {
+    // Session rules live in their own ruleset, so IDs only need to be unique among them
+    const existingRules = await chrome.declarativeNetRequest.getSessionRules();
+    const ruleId = Math.max(0, ...existingRules.map(rule => rule.id)) + 1;
+
+    logger.info('Adding site to exemption list:', pattern, ruleId);
     
-    // Create a session-scoped allowlist rule with higher priority for this tab
-    const filter = this.patternToFilter(pattern);
+    // Create a session-scoped allowlist rule with higher priority than blocking rules
+    const filter = this.patternToFilter(pattern, type);
     const sessionRule = {
-      id: tabId, // Use tabId as rule ID for easy cleanup
-      priority: 100, // Higher priority than blocking rules (which are priority 1)
+      id: ruleId,
+      priority: 100, // Higher priority than blocking rules (priority 1 to 3)
       action: {
-        type: 'allow' // Allow this tab through
+        type: 'allow' // Allow the site through in any tab
       },
       condition: {
         ...filter,
-        resourceTypes: ['main_frame'],
-        tabIds: [tabId] // Only apply to this specific tab
+        // Covers the embed and media rules too, for sites that use them
+        resourceTypes: ['main_frame', 'sub_frame', 'media']
       }
     };
     
@@ -383,7 +1389,9 @@ export class BlockingManager {
       await chrome.declarativeNetRequest.updateSessionRules({
         addRules: [sessionRule]
       });
-      logger.info('Session rule added for tab:', tabId);
+      this.exemptRuleIds.add(ruleId);
+      logger.info('Session rule added for site:', pattern);
+      return ruleId;
     } catch (error) {
       logger.error('Failed to add session rule:', error);
       throw error;
@@ -391,19 +1399,19 @@ export class BlockingManager {
   }
 
   /**
-   * Remove tab from exemption list
-   * @param {number} tabId
+   * Remove a site exemption
+   * @param {number} ruleId - ID returned by addExemptSite()
    */
-  async removeExemptTab(tabId) {
-    logger.info('Removing tab from exemption list:', tabId);
-    this.exemptTabs.delete(tabId);
+  async removeExemptSite(ruleId) {
+    logger.info('Removing site exemption rule:', ruleId);
+    this.exemptRuleIds.delete(ruleId);
     
-    // Remove the session-scoped rule for this tab
+    // Remove the session-scoped rule for this site
     try {
       await chrome.declarativeNetRequest.updateSessionRules({
-        removeRuleIds: [tabId]
+        removeRuleIds: [ruleId]
       });
-      logger.info('Session rule removed for tab:', tabId);
+      logger.info('Session rule removed:', ruleId);
     } catch (error) {
       logger.error('Failed to remove session rule:', error);
       // Don't throw - session rules are cleaned up on browser restart anyway
@@ -424,6 +1432,13 @@ export class BlockingManager {
       if (!site) {
         throw new Error('Site not found');
       }
+
+      if (site.type === PATTERN_TYPES.REGEX) {
+        throw new Error('Exceptions are not supported for regex patterns; narrow the expression instead');
+      }
+      if (site.type === PATTERN_TYPES.KEYWORD) {
+        throw new Error('Exceptions are not supported for keywords');
+      }
       
       // Initialize exceptions array if it doesn't exist
       if (!site.exceptions) {
@@ -440,10 +1455,11 @@ export class BlockingManager {
       
       // Validate that exception is more specific than the block pattern
       if (!this.isValidException(site.pattern, exceptionPattern)) {
-        throw new Error('Exception must be related to the blocked pattern');
+        throw new Error('Exception must narrow the blocked pattern: use a subdomain or a longer path of it');
       }
       
       site.exceptions.push(exceptionPattern);
+      await this.assertRuleCapacity(blockedSites);
       await storage.set(STORAGE_KEYS.BLOCKED_SITES, blockedSites);
       await this.updateBlockingRules(blockedSites);
       
@@ -483,40 +1499,67 @@ export class BlockingManager {
   }
 
   /**
-   * Validate that exception is related to block pattern
+   * Validate that an exception really narrows its block pattern
+   * Every URL the exception allows must be one the pattern blocks, and the
+   * exception can't cover the whole pattern.
    * @param {string} blockPattern - The blocked pattern
    * @param {string} exceptionPattern - The exception pattern
    * @returns {boolean}
    */
   isValidException(blockPattern, exceptionPattern) {
-    // Remove protocols
-    blockPattern = blockPattern.replace(/^https?:\/\//, '').replace(/^www\./, '');
-    exceptionPattern = exceptionPattern.replace(/^https?:\/\//, '').replace(/^www\./, '');
-    
-    // Remove wildcards for comparison
-    const basePattern = blockPattern.replace('*.', '');
-    
-    // Exception should be more specific (contain the block pattern or be a subdomain)
-    // e.g., music.youtube.com contains youtube.com
-    // e.g., reddit.com/r/programming is more specific than reddit.com
-    return exceptionPattern.includes(basePattern) || exceptionPattern.startsWith(basePattern);
+    const block = this.splitPattern(blockPattern);
+    const exception = this.splitPattern(exceptionPattern);
+
+    // Exceptions name a real host; only their path may use wildcards
+    if (!exception.host || exception.host.includes('*')) {
+      return false;
+    }
+
+    const exceptionPrefix = exception.path.split('*')[0];
+
+    if (`${block.host}/${block.path}`.includes('*')) {
+      // Free-form wildcard block patterns can't be compared piece by piece, so
+      // check that a URL the exception allows is one the pattern blocks
+      const sampleUrl = `https://${exception.host}/${exceptionPrefix}`;
+      return matchesCondition(sampleUrl, this.patternToFilter(blockPattern)) &&
+        (block.host !== exception.host || block.path !== exception.path);
+    }
+
+    // The exception's host must be the blocked host or one of its subdomains
+    // e.g., music.youtube.com inside youtube.com
+    const sameHost = exception.host === block.host;
+    if (!sameHost && !exception.host.endsWith(`.${block.host}`)) {
+      return false;
+    }
+
+    // Its path must lie inside the blocked path (block paths match as prefixes)
+    // e.g., reddit.com/r/programming inside reddit.com/r
+    if (!exceptionPrefix.startsWith(block.path)) {
+      return false;
+    }
+
+    // And it must leave something blocked: on the same host it needs a longer path
+    return !sameHost || exception.path.length > block.path.length;
   }
 
   /**
-   * Enable or disable all blocking rules based on schedule
+   * Enable or disable blocking rules based on schedule
    * @param {boolean} enabled - Whether blocking should be enabled
+   * @param {object|null} scope - Sites the running schedules cover ({ all, siteIds }), null for all
    */
-  async setBlockingEnabled(enabled) {
+  async setBlockingEnabled(enabled, scope = null) {
     try {
       logger.info(`=== setBlockingEnabled called: ${enabled} ===`);
       
       // Store the blocking state
       await storage.set('blockingEnabled', enabled);
+      this.blockingScope = scope;
+      await storage.set(STORAGE_KEYS.BLOCKING_SCOPE, scope);
       
       if (enabled) {
         // Re-enable blocking by updating rules from current blocked sites
         const blockedSites = await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
-        const enabledSites = blockedSites.filter(site => site.enabled);
+        const enabledSites = await this.getEnforcedSites(blockedSites);
         logger.info(`🔒 Re-enabling blocking for ${enabledSites.length} sites`);
         await this.updateBlockingRules(blockedSites);
         logger.info('✓ Blocking rules enabled');
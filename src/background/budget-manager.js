@@ -1,10 +1,23 @@
 import { storage } from '../common/storage.js';
-import { STORAGE_KEYS, TIME, BUDGET_THRESHOLDS, DEFAULTS } from '../common/constants.js';
+import { STORAGE_KEYS, TIME, BUDGET_THRESHOLDS, BUDGET_SLICES, DEFAULTS } from '../common/constants.js';
 import { Logger } from '../common/logger.js';
-import { getCurrentDate } from '../common/utils.js';
+import { getBudgetDate, getDayName, getWeekStartDate } from '../common/utils.js';
+import { matchesCondition } from '../common/url-matcher.js';
 
 const logger = new Logger('BudgetManager');
 
+// Seconds without input before the user counts as idle
+const IDLE_DETECTION_SECONDS = 60;
+
+// Focus runs are confirmed this often while they last
+const FOCUS_HEARTBEAT_MINUTES = 1;
+// Seconds without input before a focus run stops being confirmed (longer than for
+// budget sessions, since reading or thinking without touching anything is still focus)
+const FOCUS_IDLE_SECONDS = 5 * 60;
+// Credit runs on at most this long past the last confirmation; a longer gap
+// (browser closed, machine asleep, user away) ends the run
+const FOCUS_MAX_GAP_MS = 2 * FOCUS_HEARTBEAT_MINUTES * TIME.MINUTE;
+
 /**
  * Manages time budgets for blocked sites
  */
@@ -12,8 +25,18 @@ export class BudgetManager {
   constructor() {
     this.globalBudget = 30; // minutes
     this.resetTime = '00:00';
+    this.weekdayBudgets = {};
+    this.rollover = { ...DEFAULTS.timeBudget.rollover };
+    this.weekly = { ...DEFAULTS.timeBudget.weekly };
+    this.weekBudget = null; // { start, used } for the current weekly pool
+    this.earnedBreaks = { ...DEFAULTS.timeBudget.earnedBreaks };
+    this.focusSince = null; // Start of the focus run not yet credited
+    this.focusConfirmedAt = null; // Last time the run was seen blocking with the user present
+    this.focusUntil = null; // End of the schedule block the run belongs to
     this.todaysBudget = null;
-    this.activeSessions = new Map(); // Track active budget usage
+    this.lastResetDate = null; // Budget day (see getBudgetDate()) the daily reset last ran for
+    this.activeSessions = new Map(); // Cache of sessions persisted in session storage
+    this.sessionsLoaded = null; // Promise for the one-time load after a worker start
     this.lastWarnings = new Set(); // Track sent warnings to avoid spam
   }
 
@@ -27,6 +50,9 @@ export class BudgetManager {
       await this.loadBudgetConfig();
       await this.checkDailyReset();
       this.setupResetAlarm();
+      chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+      await this.reconcileSessions();
+      await this.closeStaleFocusRun();
       
       logger.info('Budget manager initialized', {
         globalBudget: this.globalBudget,
@@ -46,7 +72,17 @@ export class BudgetManager {
     if (budgetData) {
       this.globalBudget = budgetData.globalBudget || 30;
       this.resetTime = budgetData.resetTime || '00:00';
+      this.weekdayBudgets = budgetData.weekdayBudgets || {};
+      this.rollover = { ...DEFAULTS.timeBudget.rollover, ...budgetData.rollover };
+      this.weekly = { ...DEFAULTS.timeBudget.weekly, ...budgetData.weekly };
+      this.weekBudget = budgetData.week || null;
+      this.earnedBreaks = { ...DEFAULTS.timeBudget.earnedBreaks, ...budgetData.earnedBreaks };
+      this.focusSince = budgetData.focusSince || null;
+      this.focusConfirmedAt = budgetData.focusConfirmedAt || null;
+      this.focusUntil = budgetData.focusUntil || null;
       this.todaysBudget = budgetData.today;
+      // Data saved before lastResetDate existed was last reset on its day's date
+      this.lastResetDate = budgetData.lastResetDate || budgetData.today?.date || null;
     } else {
       // Initialize with defaults
       this.globalBudget = DEFAULTS.timeBudget.globalBudget;
@@ -59,31 +95,80 @@ export class BudgetManager {
    * Check if budget needs daily reset
    */
   async checkDailyReset() {
-    const today = getCurrentDate();
+    const today = getBudgetDate(this.resetTime);
     
-    if (!this.todaysBudget || this.todaysBudget.date !== today) {
+    // Dates compare as strings; a later reset time can move the budget day back, which isn't a new day
+    if (!this.todaysBudget || this.todaysBudget.date < today) {
       logger.info('Resetting daily budget', { today, previous: this.todaysBudget?.date });
       await this.resetDailyBudget();
     }
+
+    await this.checkWeeklyReset();
+  }
+
+  /**
+   * Start a new weekly pool when the configured reset day comes round
+   */
+  async checkWeeklyReset() {
+    const weekStart = getWeekStartDate(this.weekly.resetDay);
+
+    if (this.weekBudget?.start !== weekStart) {
+      logger.info('Resetting weekly budget', { weekStart, previous: this.weekBudget?.start });
+      this.weekBudget = { start: weekStart, used: 0 };
+      await this.saveBudgetData();
+    }
+  }
+
+  /**
+   * Get the weekly pool status, or null when the weekly pool is off
+   * @returns {Object|null}
+   */
+  getWeeklyStatus() {
+    if (!this.weekly.enabled) return null;
+
+    const used = this.weekBudget?.used || 0;
+    return {
+      start: this.weekBudget?.start,
+      resetDay: this.weekly.resetDay,
+      used,
+      total: this.weekly.minutes,
+      remaining: Math.max(0, this.weekly.minutes - used)
+    };
   }
 
   /**
    * Reset daily budget
+   * Budget days start at resetTime, so todaysBudget.date is the date of the
+   * latest reset time rather than the calendar date. Runs at most once per
+   * budget day: the reset alarm and checkDailyReset() can both fire, and a
+   * second run would roll over a day only a few hours old.
    */
   async resetDailyBudget() {
-    const today = getCurrentDate();
+    const today = getBudgetDate(this.resetTime);
+
+    if (this.lastResetDate && this.lastResetDate >= today) {
+      logger.info('Daily budget already reset today', { today });
+      return;
+    }
     
     // Save yesterday's data to history if it exists
+    let carriedIn = 0;
     if (this.todaysBudget) {
-      await this.saveToHistory(this.todaysBudget);
+      carriedIn = this.calculateRollover(this.todaysBudget);
+      await this.saveToHistory(this.todaysBudget, carriedIn);
     }
 
     // Create new day's budget
     this.todaysBudget = {
       date: today,
+      base: this.getBaseBudget(new Date(`${today}T00:00`)),
       used: 0,
-      perSite: {}
+      carriedIn,
+      earned: 0,
+      perSite: {},
+      perGroup: {}
     };
+    this.lastResetDate = today;
 
     // Reset warning tracking
     this.lastWarnings.clear();
@@ -96,13 +181,47 @@ export class BudgetManager {
         type: 'basic',
         iconUrl: 'src/assets/icons/icon128.png',
         title: 'Focus Extension',
-        message: `Your time budget has been reset! You have ${this.globalBudget} minutes today.`
+        message: carriedIn > 0
+          ? `Your time budget has been reset! You have ${this.getDayTotal()} minutes today, including ${carriedIn} banked.`
+          : `Your time budget has been reset! You have ${this.todaysBudget.base} minutes today.`
       });
     } catch (error) {
       logger.warn('Failed to send reset notification:', error);
     }
   }
 
+  /**
+   * Minutes of a finished day's unused budget to carry into the next day
+   * @param {Object} dayData - The finished day's todaysBudget
+   * @returns {number}
+   */
+  calculateRollover(dayData) {
+    if (!this.rollover.enabled) return 0;
+
+    // Unused banked minutes roll over again, so the bank grows until it reaches the cap
+    const unused = Math.max(0, this.getDayTotal(dayData) - dayData.used);
+    const carried = Math.floor(unused * this.rollover.percent / 100);
+    return Math.min(carried, this.rollover.cap);
+  }
+
+  /**
+   * Budget for a weekday before any banked minutes
+   * @param {Date} date
+   * @returns {number}
+   */
+  getBaseBudget(date = new Date()) {
+    return this.weekdayBudgets[getDayName(date)] ?? this.globalBudget;
+  }
+
+  /**
+   * Total minutes available for a day: the day's base budget plus banked and earned minutes
+   * @param {Object} dayData - Defaults to today
+   * @returns {number}
+   */
+  getDayTotal(dayData = this.todaysBudget) {
+    return (dayData?.base ?? this.getBaseBudget()) + (dayData?.carriedIn || 0) + (dayData?.earned || 0);
+  }
+
   /**
    * Setup alarm for daily reset
    */
@@ -137,11 +256,25 @@ export class BudgetManager {
   async getRemainingBudget() {
     await this.checkDailyReset();
 
+    const total = this.getDayTotal();
+    const global = Math.max(0, total - (this.todaysBudget?.used || 0));
+    const weekly = this.getWeeklyStatus();
+    const dailyCapEnforced = !weekly || this.weekly.useDailyCap;
+
     return {
-      global: Math.max(0, this.globalBudget - (this.todaysBudget?.used || 0)),
+      global,
+      weekly,
+      dailyCapEnforced,
+      // Time left across whichever of the daily and weekly budgets apply
+      available: Math.min(dailyCapEnforced ? global : Infinity, weekly ? weekly.remaining : Infinity),
       date: this.todaysBudget?.date,
       used: this.todaysBudget?.used || 0,
-      total: this.globalBudget
+      total,
+      base: this.todaysBudget?.base ?? this.getBaseBudget(),
+      carriedIn: this.todaysBudget?.carriedIn || 0,
+      earned: this.todaysBudget?.earned || 0,
+      focusSince: this.focusSince,
+      perSite: this.todaysBudget?.perSite || {}
     };
   }
 
@@ -158,135 +291,670 @@ export class BudgetManager {
     const site = blockedSites.find(s => s.id === siteId);
     const siteBudget = site?.customBudget;
 
+    // Group budgets cap the combined time of every site in the group
+    // Import blockingManager dynamically to avoid circular dependency
+    const { blockingManager } = await import('./blocking-manager.js');
+    const groups = await blockingManager.getSiteGroups();
+    const group = site?.groupId ? groups.find(g => g.id === site.groupId) : null;
+    const groupBudget = group?.customBudget;
+    const groupRemaining = groupBudget
+      ? Math.max(0, groupBudget - (this.todaysBudget.perGroup?.[group.id] || 0))
+      : null;
+    const siteRemaining = siteBudget
+      ? Math.max(0, siteBudget - (this.todaysBudget.perSite[siteId] || 0))
+      : null;
+
+    // Whichever budget has the least time left is the one that applies
+    const limits = [
+      { limitedBy: 'global', remaining: remaining.dailyCapEnforced ? remaining.global : null, total: remaining.total },
+      { limitedBy: 'weekly', remaining: remaining.weekly?.remaining ?? null, total: remaining.weekly?.total },
+      { limitedBy: 'site', remaining: siteRemaining, total: siteBudget },
+      { limitedBy: 'group', remaining: groupRemaining, total: groupBudget }
+    ].filter(limit => limit.remaining !== null);
+    const effective = limits.reduce((min, limit) => limit.remaining < min.remaining ? limit : min);
+
     return {
       hasGlobalBudget: remaining.global > 0,
       globalRemaining: remaining.global,
-      siteRemaining: siteBudget 
-        ? Math.max(0, siteBudget - (this.todaysBudget.perSite[siteId] || 0))
-        : null,
-      canAccess: remaining.global > 0,
+      weeklyRemaining: remaining.weekly?.remaining ?? null,
+      weeklyTotal: remaining.weekly?.total ?? null,
+      weeklyResetDay: remaining.weekly?.resetDay ?? null,
+      carriedIn: remaining.carriedIn,
+      siteRemaining,
+      siteTotal: siteBudget || null,
+      groupId: group?.id || null,
+      groupName: group?.name || null,
+      groupRemaining,
+      groupTotal: groupBudget || null,
+      effectiveRemaining: effective.remaining,
+      effectiveTotal: effective.total,
+      limitedBy: effective.limitedBy,
+      canAccess: effective.remaining > 0,
       total: remaining.total,
       used: remaining.used
     };
   }
 
   /**
-   * Start a budget session for a site
+   * Start a budget session for a site. The session unblocks the site in every
+   * tab and is charged once, however many tabs are open on it.
    * @param {string} siteId
-   * @param {number} tabId
+   * @param {number} tabId - Tab the session was started from
+   * @param {number|null} durationMinutes - Slice length from BUDGET_SLICES; null runs until the budget is used up
    * @returns {Promise<Object>}
    */
-  async startBudgetSession(siteId, tabId) {
+  async startBudgetSession(siteId, tabId, durationMinutes = null) {
+    if (durationMinutes !== null && !BUDGET_SLICES.includes(durationMinutes)) {
+      throw new Error('Invalid session length');
+    }
+
+    await this.ensureSessionsLoaded();
+
+    // The site is already unblocked, so the tab just joins the running session
+    const existing = this.activeSessions.get(siteId);
+    if (existing) {
+      if (!existing.tabIds.includes(tabId)) {
+        existing.tabIds.push(tabId);
+        await this.saveSessions();
+      }
+      logger.info(`Tab ${tabId} joined budget session`, { siteId });
+      return existing;
+    }
+
     const budget = await this.checkBudgetAvailable(siteId);
     
     if (!budget.canAccess) {
       throw new Error('No budget remaining');
     }
 
+    const blockedSites = await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
+    const site = blockedSites.find(s => s.id === siteId);
+    if (!site) {
+      throw new Error('Site not found');
+    }
+
+    // Using budget is a bypass, so it ends the current focus run
+    await this.setFocusActive(null);
+
+    // Exempt the site from blocking for the length of the session
+    // Import blockingManager dynamically to avoid circular dependency
+    const { blockingManager } = await import('./blocking-manager.js');
+    const ruleId = await blockingManager.addExemptSite(site.pattern, site.type);
+
     const session = {
       siteId,
-      tabId,
+      groupId: budget.groupId,
+      pattern: site.pattern,
+      patternType: site.type,
+      ruleId,
+      tabIds: [tabId],
       startTime: Date.now(),
       lastUpdate: Date.now(),
-      minutesUsed: 0
+      minutesUsed: 0,
+      durationMinutes,
+      inUse: true // The user is looking at the tab when starting a session
     };
 
-    this.activeSessions.set(tabId, session);
+    this.activeSessions.set(siteId, session);
+    await this.saveSessions();
     
     // Start tracking
-    this.startSessionTracking(tabId);
+    await this.tickSessions();
 
-    logger.info(`Started budget session for tab ${tabId}`, { siteId });
+    logger.info(`Started budget session for ${site.pattern}`, { siteId, tabId, durationMinutes });
     return session;
   }
 
   /**
-   * Track active session and update budget
+   * Load persisted sessions once per service worker lifetime
+   * @returns {Promise<void>}
+   */
+  ensureSessionsLoaded() {
+    if (!this.sessionsLoaded) {
+      this.sessionsLoaded = this.loadSessions();
+    }
+    return this.sessionsLoaded;
+  }
+
+  /**
+   * Load active sessions from session storage
+   */
+  async loadSessions() {
+    const stored = await storage.getSession(STORAGE_KEYS.BUDGET_SESSIONS) || {};
+    this.activeSessions = new Map(Object.values(stored).map(session => [session.siteId, session]));
+  }
+
+  /**
+   * Persist active sessions to session storage
+   */
+  async saveSessions() {
+    await storage.setSession(STORAGE_KEYS.BUDGET_SESSIONS, Object.fromEntries(this.activeSessions));
+  }
+
+  /**
+   * Drop sessions left behind while the worker was suspended and resume the rest.
+   * A session is orphaned when all its tabs are gone or its exemption rule is missing.
+   */
+  async reconcileSessions() {
+    await this.ensureSessionsLoaded();
+
+    const { blockingManager } = await import('./blocking-manager.js');
+    const tabs = await chrome.tabs.query({});
+    const openTabIds = new Set(tabs.map(tab => tab.id));
+    const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+    const ruleIds = new Set(sessionRules.map(rule => rule.id));
+
+    for (const session of [...this.activeSessions.values()]) {
+      session.tabIds = session.tabIds.filter(tabId => openTabIds.has(tabId));
+
+      if (session.tabIds.length === 0 || !ruleIds.has(session.ruleId)) {
+        // Usage was already charged up to the last tick
+        logger.info(`Dropping orphaned budget session for ${session.pattern}`);
+        this.activeSessions.delete(session.siteId);
+      }
+    }
+
+    // Exemption rules without a session would allow the site indefinitely
+    const sessionRuleIds = new Set([...this.activeSessions.values()].map(session => session.ruleId));
+    const orphanedRuleIds = [...ruleIds].filter(id => !sessionRuleIds.has(id));
+    if (orphanedRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: orphanedRuleIds });
+      logger.info('Removed orphaned exemption rules:', orphanedRuleIds);
+    }
+
+    blockingManager.exemptRuleIds = sessionRuleIds;
+    await this.saveSessions();
+
+    // Charge time that passed while suspended and re-arm alarms
+    await this.tickSessions();
+  }
+
+  /**
+   * Handle budget session alarms
+   * @param {string} alarmName
+   */
+  async handleAlarm(alarmName) {
+    if (alarmName === 'budgetTick' || alarmName === 'budgetExhaust') {
+      await this.tickSessions();
+    } else if (alarmName === 'focusReward') {
+      await this.checkFocus();
+    }
+  }
+
+  /**
+   * Start, continue or stop the current focus run. Called by ScheduleManager
+   * whenever it re-evaluates blocking. A run only counts inside a schedule block
+   * (always-on blocking earns nothing) and while no budget session is open.
+   * @param {number|null} blockEndsAt - End of the schedule block running now, null when none is
+   */
+  async setFocusActive(blockEndsAt) {
+    await this.ensureSessionsLoaded();
+    const now = Date.now();
+    const focusing = !!blockEndsAt && blockEndsAt > now &&
+      this.earnedBreaks.enabled && this.activeSessions.size === 0;
+
+    if (focusing && this.focusSince) {
+      await this.confirmFocus(now);
+      this.focusUntil = blockEndsAt;
+      await this.saveBudgetData();
+    } else if (focusing) {
+      this.focusSince = now;
+      this.focusConfirmedAt = now;
+      this.focusUntil = blockEndsAt;
+      await this.saveBudgetData();
+      await this.scheduleFocusAlarm();
+      logger.info('Focus run started', { until: new Date(blockEndsAt).toLocaleString() });
+    } else if (this.focusSince) {
+      await this.endFocusRun();
+    }
+  }
+
+  /**
+   * Re-check the focus run against the current schedule state
+   */
+  async syncFocus() {
+    // Import scheduleManager dynamically to avoid circular dependency
+    const { scheduleManager } = await import('./schedule-manager.js');
+    await this.setFocusActive(await scheduleManager.getFocusBlockEnd());
+  }
+
+  /**
+   * Heartbeat for the focus run: confirm it while the user is around and pay
+   * out completed intervals
+   */
+  async checkFocus() {
+    if (!this.focusSince) {
+      await this.scheduleFocusAlarm();
+      return;
+    }
+
+    if (Date.now() >= this.focusUntil) {
+      // The block is over; ScheduleManager ends the run too, but don't rely on it
+      await this.endFocusRun();
+      return;
+    }
+
+    // Away from the machine doesn't confirm the run, so the time stops counting
+    const idleState = await chrome.idle.queryState(FOCUS_IDLE_SECONDS);
+    if (idleState === 'active') {
+      await this.confirmFocus();
+    }
+
+    await this.creditFocus();
+  }
+
+  /**
+   * Mark the run as still going, starting it over after a gap
+   * @param {number} now
+   */
+  async confirmFocus(now = Date.now()) {
+    if (now - this.focusConfirmedAt > FOCUS_MAX_GAP_MS) {
+      // Pay out what was earned before the gap; the gap itself never counts
+      await this.creditFocus(now);
+      logger.info('Focus run interrupted - starting over', {
+        lastConfirmed: new Date(this.focusConfirmedAt).toLocaleString()
+      });
+      this.focusSince = now;
+    }
+
+    this.focusConfirmedAt = now;
+    await this.saveBudgetData();
+  }
+
+  /**
+   * Credit and clear the focus run
+   */
+  async endFocusRun() {
+    await this.creditFocus();
+    this.focusSince = null;
+    this.focusConfirmedAt = null;
+    this.focusUntil = null;
+    await this.saveBudgetData();
+    await chrome.alarms.clear('focusReward');
+    logger.info('Focus run ended');
+  }
+
+  /**
+   * Close a saved run the worker can't vouch for, e.g. after the browser was closed
+   * Its confirmed part is still credited; the next schedule check starts a fresh run.
+   */
+  async closeStaleFocusRun() {
+    if (!this.focusSince) return;
+
+    const now = Date.now();
+    if (now - (this.focusConfirmedAt || this.focusSince) > FOCUS_MAX_GAP_MS || now >= (this.focusUntil || 0)) {
+      logger.info('Closing stale focus run');
+      await this.endFocusRun();
+    }
+  }
+
+  /**
+   * Latest time the current run can be credited up to
+   * That is now, but never past the end of its block or a gap after the last confirmation.
+   * @param {number} now
+   * @returns {number}
+   */
+  getFocusCreditEnd(now = Date.now()) {
+    return Math.min(
+      now,
+      this.focusUntil || now,
+      (this.focusConfirmedAt || this.focusSince) + FOCUS_MAX_GAP_MS
+    );
+  }
+
+  /**
+   * Add earned minutes for every full focus interval completed so far
+   * @param {number} now
+   */
+  async creditFocus(now = Date.now()) {
+    if (!this.focusSince || !this.earnedBreaks.enabled) return;
+
+    const intervalMs = this.earnedBreaks.focusMinutes * TIME.MINUTE;
+    const intervals = Math.floor(Math.max(0, this.getFocusCreditEnd(now) - this.focusSince) / intervalMs);
+    if (intervals === 0) return;
+
+    await this.checkDailyReset();
+    const reward = intervals * this.earnedBreaks.rewardMinutes;
+    this.todaysBudget.earned = (this.todaysBudget.earned || 0) + reward;
+
+    // Keep the partial interval so it still counts towards the next reward
+    this.focusSince += intervals * intervalMs;
+    await this.saveBudgetData();
+
+    logger.info(`Earned ${reward} break minutes`, { earnedToday: this.todaysBudget.earned });
+  }
+
+  /**
+   * Arm the focus heartbeat while a run lasts
+   */
+  async scheduleFocusAlarm() {
+    if (!this.focusSince) {
+      await chrome.alarms.clear('focusReward');
+      return;
+    }
+
+    chrome.alarms.create('focusReward', {
+      delayInMinutes: FOCUS_HEARTBEAT_MINUTES,
+      periodInMinutes: FOCUS_HEARTBEAT_MINUTES
+    });
+  }
+
+  /**
+   * Re-evaluate which sessions are in use after a tab, window or idle change
+   */
+  async handleActivityChange() {
+    await this.ensureSessionsLoaded();
+
+    if (this.activeSessions.size > 0) {
+      await this.tickSessions();
+    }
+  }
+
+  /**
+   * Track tabs moving onto or off a site with a running session
    * @param {number} tabId
+   * @param {string} url - The tab's new URL
    */
-  startSessionTracking(tabId) {
-    const intervalId = setInterval(async () => {
-      const session = this.activeSessions.get(tabId);
-      
-      if (!session) {
-        clearInterval(intervalId);
-        return;
+  async handleTabUpdated(tabId, url) {
+    await this.ensureSessionsLoaded();
+    if (this.activeSessions.size === 0) return;
+
+    const { blockingManager } = await import('./blocking-manager.js');
+    for (const session of this.activeSessions.values()) {
+      const onSite = matchesCondition(url, blockingManager.patternToFilter(session.pattern, session.patternType));
+      const tracked = session.tabIds.includes(tabId);
+
+      if (onSite && !tracked) {
+        session.tabIds.push(tabId);
+      } else if (!onSite && tracked) {
+        logger.info(`Tab ${tabId} navigated away from ${session.pattern}`);
+        session.tabIds = session.tabIds.filter(id => id !== tabId);
       }
+    }
 
-      // Calculate time elapsed since last update
-      const now = Date.now();
-      const elapsed = now - session.lastUpdate;
-      const minutes = elapsed / (60 * 1000);
+    await this.saveSessions();
+    await this.endAbandonedSessions();
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId
+   */
+  async handleTabRemoved(tabId) {
+    await this.ensureSessionsLoaded();
+    if (this.activeSessions.size === 0) return;
 
-      // Update session
-      session.lastUpdate = now;
+    for (const session of this.activeSessions.values()) {
+      session.tabIds = session.tabIds.filter(id => id !== tabId);
+    }
+
+    await this.saveSessions();
+    await this.endAbandonedSessions();
+  }
+
+  /**
+   * End sessions whose site is no longer open in any tab
+   */
+  async endAbandonedSessions() {
+    for (const session of [...this.activeSessions.values()]) {
+      if (session.tabIds.length === 0) {
+        logger.info(`No tabs left on ${session.pattern}, ending budget session`);
+        await this.endBudgetSession(session.siteId);
+      }
+    }
+  }
+
+  /**
+   * Charge time since the last update, but only if the tab was in use
+   * @param {Object} session
+   * @param {number} now
+   */
+  async chargeSession(session, now) {
+    // Calculate time elapsed since last update
+    const minutes = session.inUse ? (now - session.lastUpdate) / TIME.MINUTE : 0;
+
+    session.lastUpdate = now;
+    if (minutes > 0) {
       session.minutesUsed += minutes;
+      await this.consumeBudget(session.siteId, minutes, session.groupId);
+    }
+  }
+
+  /**
+   * Mark each session as in use when one of its tabs is the active tab of the
+   * focused window and the user is not idle or locked
+   */
+  async updateSessionActivity() {
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    let focusedWindow = null;
+    try {
+      focusedWindow = await chrome.windows.getLastFocused();
+    } catch (error) {
+      // No browser window open
+    }
+
+    const windowFocused = idleState === 'active' && focusedWindow?.focused;
+    const activeTabs = windowFocused
+      ? await chrome.tabs.query({ active: true, windowId: focusedWindow.id })
+      : [];
+    const activeTabIds = new Set(activeTabs.map(tab => tab.id));
+
+    for (const session of this.activeSessions.values()) {
+      session.inUse = session.tabIds.some(tabId => activeTabIds.has(tabId));
+    }
+  }
 
-      // Update budget
-      await this.consumeBudget(session.siteId, minutes);
+  /**
+   * Charge elapsed time to every active session and end exhausted ones
+   */
+  async tickSessions() {
+    await this.ensureSessionsLoaded();
+
+    // Charge against the previous activity state, then pick up the current one
+    const now = Date.now();
+    for (const session of this.activeSessions.values()) {
+      await this.chargeSession(session, now);
+    }
+    await this.updateSessionActivity();
+    await this.saveSessions();
 
-      // Check if budget exhausted
+    for (const session of [...this.activeSessions.values()]) {
       const budget = await this.checkBudgetAvailable(session.siteId);
       if (!budget.canAccess) {
-        // Budget exhausted - close tab or redirect back to blocked page
-        logger.info(`Budget exhausted for tab ${tabId}`);
-        await this.endBudgetSession(tabId, true);
-        clearInterval(intervalId);
-        return;
+        // Budget exhausted - redirect back to blocked page
+        logger.info(`Budget exhausted for ${session.pattern}`);
+        await this.endBudgetSession(session.siteId, 'budgetExhausted');
+      } else if (session.durationMinutes && session.minutesUsed >= session.durationMinutes) {
+        // Slice used up - back to the blocked page even though budget remains
+        logger.info(`Budget slice ended for ${session.pattern}`);
+        await this.endBudgetSession(session.siteId, 'sliceEnded');
       }
+    }
 
+    if (this.activeSessions.size > 0) {
       // Send warning notifications
       await this.checkBudgetWarnings();
+    }
 
-    }, 10000); // Update every 10 seconds
+    // Correct any drift in the on-page countdowns
+    for (const session of this.activeSessions.values()) {
+      await this.updateOverlays(session);
+    }
 
-    // Store interval ID
-    this.activeSessions.get(tabId).intervalId = intervalId;
+    await this.scheduleSessionAlarms();
   }
 
   /**
-   * End a budget session
+   * Re-inject the countdown overlay after a session tab finishes loading
    * @param {number} tabId
-   * @param {boolean} budgetExhausted
    */
-  async endBudgetSession(tabId, budgetExhausted = false) {
-    const session = this.activeSessions.get(tabId);
-    
-    if (!session) return;
+  async handleTabLoaded(tabId) {
+    await this.ensureSessionsLoaded();
+
+    for (const session of this.activeSessions.values()) {
+      if (session.tabIds.includes(tabId)) {
+        await this.updateOverlays(session, [tabId]);
+      }
+    }
+  }
+
+  /**
+   * Show or refresh the countdown overlay in a session's tabs
+   * @param {Object} session
+   * @param {number[]} tabIds - Defaults to every tab in the session
+   */
+  async updateOverlays(session, tabIds = session.tabIds) {
+    const budget = await this.checkBudgetAvailable(session.siteId);
+
+    // Count down to whichever comes first: the end of the budget or of the slice
+    let remaining = budget.effectiveRemaining;
+    let total = budget.effectiveTotal;
+    if (session.durationMinutes && session.durationMinutes - session.minutesUsed < remaining) {
+      remaining = session.durationMinutes - session.minutesUsed;
+      total = session.durationMinutes;
+    }
+
+    const message = {
+      type: 'BUDGET_OVERLAY_UPDATE',
+      data: {
+        siteId: session.siteId,
+        remainingSeconds: Math.max(0, remaining * 60),
+        totalSeconds: total * 60,
+        warnAt: BUDGET_THRESHOLDS.VERY_LOW,
+        criticalAt: BUDGET_THRESHOLDS.CRITICAL
+      }
+    };
+
+    for (const tabId of tabIds) {
+      try {
+        await chrome.tabs.sendMessage(tabId, message);
+      } catch (error) {
+        // No overlay in the page yet (new load) - inject it and try again
+        try {
+          await chrome.scripting.executeScript({
+            target: { tabId },
+            files: ['src/content/budget-overlay.js']
+          });
+          await chrome.tabs.sendMessage(tabId, message);
+        } catch (injectError) {
+          // Still on the blocked page, or a page extensions can't script
+          logger.debug(`Could not show budget overlay in tab ${tabId}:`, injectError.message);
+        }
+      }
+    }
+  }
 
-    // Clear interval
-    if (session.intervalId) {
-      clearInterval(session.intervalId);
+  /**
+   * Take the countdown overlay off tabs that stay on the site after a session
+   * @param {number[]} tabIds
+   */
+  async removeOverlays(tabIds) {
+    for (const tabId of tabIds) {
+      try {
+        await chrome.tabs.sendMessage(tabId, { type: 'BUDGET_OVERLAY_REMOVE' });
+      } catch (error) {
+        // Tab closed or never had an overlay
+      }
     }
+  }
+
+  /**
+   * Arm the periodic tick and the exhaustion alarm, or clear both when idle
+   */
+  async scheduleSessionAlarms() {
+    if (this.activeSessions.size === 0) {
+      await chrome.alarms.clear('budgetTick');
+      await chrome.alarms.clear('budgetExhaust');
+      return;
+    }
+
+    // 30 seconds is the shortest period Chrome allows
+    const tick = await chrome.alarms.get('budgetTick');
+    if (!tick) {
+      chrome.alarms.create('budgetTick', { periodInMinutes: 0.5 });
+    }
+
+    // Only sessions in use consume budget. They all draw on the global budget,
+    // so divide by their count; firing early just reschedules on the next tick
+    const inUse = [...this.activeSessions.values()].filter(session => session.inUse);
+    if (inUse.length === 0) {
+      await chrome.alarms.clear('budgetExhaust');
+      return;
+    }
+
+    let soonest = Infinity;
+    for (const session of inUse) {
+      const budget = await this.checkBudgetAvailable(session.siteId);
+      soonest = Math.min(soonest, budget.effectiveRemaining / inUse.length);
+
+      if (session.durationMinutes) {
+        soonest = Math.min(soonest, session.durationMinutes - session.minutesUsed);
+      }
+    }
+
+    chrome.alarms.create('budgetExhaust', {
+      when: Date.now() + Math.max(soonest, 0) * TIME.MINUTE
+    });
+  }
+
+  /**
+   * End a budget session
+   * @param {string} siteId
+   * @param {string|null} reason - 'budgetExhausted', 'sliceEnded' or 'sessionEnded' sends the
+   *   site's tabs back to the blocked page
+   */
+  async endBudgetSession(siteId, reason = null) {
+    await this.ensureSessionsLoaded();
+
+    const session = this.activeSessions.get(siteId);
+    
+    if (!session) return;
 
     // Final budget update
-    const now = Date.now();
-    const elapsed = now - session.lastUpdate;
-    const minutes = elapsed / (60 * 1000);
-    await this.consumeBudget(session.siteId, minutes);
+    await this.chargeSession(session, Date.now());
 
     // Remove session
-    this.activeSessions.delete(tabId);
+    this.activeSessions.delete(siteId);
+    await this.saveSessions();
+    await this.scheduleSessionAlarms();
+
+    // A new focus run can start once no budget is being used
+    await this.syncFocus();
 
-    // Remove tab exemption from blocking (will re-enable blocking for this tab)
+    // Remove the site exemption (will re-enable blocking for new navigations)
     // Import blockingManager dynamically to avoid circular dependency
     const { blockingManager } = await import('./blocking-manager.js');
-    await blockingManager.removeExemptTab(tabId);
+    await blockingManager.removeExemptSite(session.ruleId);
 
-    logger.info(`Ended budget session for tab ${tabId}`, {
+    logger.info(`Ended budget session for ${session.pattern}`, {
       minutesUsed: session.minutesUsed.toFixed(2),
-      budgetExhausted
+      tabs: session.tabIds.length,
+      reason
     });
 
-    // If budget exhausted, redirect to blocked page
-    if (budgetExhausted) {
-      try {
-        const blockedUrl = chrome.runtime.getURL('src/interstitial/blocked.html') +
-          `?budgetExhausted=true&siteId=${session.siteId}`;
-        await chrome.tabs.update(tabId, { url: blockedUrl });
-      } catch (error) {
-        logger.error('Failed to redirect exhausted tab:', error);
+    // If budget exhausted or the slice is over, send every tab on the site back to the blocked page
+    if (reason) {
+      // Same parameters as the blocking rule redirect, so the page can show the budget
+      const blockedUrl = new URL(chrome.runtime.getURL('src/interstitial/blocked.html'));
+      blockedUrl.searchParams.set('url', session.pattern);
+      blockedUrl.searchParams.set('id', session.siteId);
+      if (session.patternType) {
+        blockedUrl.searchParams.set('type', session.patternType);
+      }
+      blockedUrl.searchParams.set(reason, 'true');
+
+      for (const tabId of session.tabIds) {
+        try {
+          // Like regex and keyword rule redirects, the page the tab was on goes last, unencoded
+          const tab = await chrome.tabs.get(tabId);
+          const target = tab.url ? `&target=${tab.url}` : '';
+          await chrome.tabs.update(tabId, { url: blockedUrl.toString() + target });
+        } catch (error) {
+          logger.error(`Failed to redirect tab ${tabId} after session ended:`, error);
+        }
       }
+    } else {
+      await this.removeOverlays(session.tabIds);
     }
   }
 
@@ -294,8 +962,9 @@ export class BudgetManager {
    * Consume budget
    * @param {string} siteId
    * @param {number} minutes
+   * @param {string|null} groupId - Group the site belongs to, if any
    */
-  async consumeBudget(siteId, minutes) {
+  async consumeBudget(siteId, minutes, groupId = null) {
     if (!this.todaysBudget) {
       await this.checkDailyReset();
     }
@@ -303,12 +972,25 @@ export class BudgetManager {
     // Update global budget
     this.todaysBudget.used += minutes;
 
+    // The weekly pool is always tracked so switching it on mid-week starts accurate
+    if (this.weekBudget) {
+      this.weekBudget.used += minutes;
+    }
+
     // Update per-site budget
     if (!this.todaysBudget.perSite[siteId]) {
       this.todaysBudget.perSite[siteId] = 0;
     }
     this.todaysBudget.perSite[siteId] += minutes;
 
+    // Update per-group budget
+    if (groupId) {
+      if (!this.todaysBudget.perGroup) {
+        this.todaysBudget.perGroup = {};
+      }
+      this.todaysBudget.perGroup[groupId] = (this.todaysBudget.perGroup[groupId] || 0) + minutes;
+    }
+
     // Save (but not too frequently)
     await this.saveBudgetData();
   }
@@ -318,17 +1000,22 @@ export class BudgetManager {
    */
   async checkBudgetWarnings() {
     const remaining = await this.getRemainingBudget();
-    const percentRemaining = remaining.global / this.globalBudget;
+
+    // Warn about whichever of the daily and weekly budgets runs out first
+    const weeklyLimits = remaining.weekly && remaining.weekly.remaining === remaining.available;
+    const percentRemaining = weeklyLimits
+      ? remaining.weekly.remaining / remaining.weekly.total
+      : remaining.global / remaining.total;
 
     const settings = await storage.get(STORAGE_KEYS.SETTINGS);
     if (!settings?.notifications?.budgetWarnings) return;
 
     // Check thresholds and send notifications (avoid spam)
     if (percentRemaining <= BUDGET_THRESHOLDS.CRITICAL && !this.lastWarnings.has('critical')) {
-      this.sendBudgetNotification('critical', remaining.global);
+      this.sendBudgetNotification('critical', remaining.available);
       this.lastWarnings.add('critical');
     } else if (percentRemaining <= BUDGET_THRESHOLDS.VERY_LOW && !this.lastWarnings.has('low')) {
-      this.sendBudgetNotification('low', remaining.global);
+      this.sendBudgetNotification('low', remaining.available);
       this.lastWarnings.add('low');
     }
   }
@@ -371,6 +1058,31 @@ export class BudgetManager {
       this.setupResetAlarm();
     }
 
+    if (config.weekdayBudgets !== undefined) {
+      this.weekdayBudgets = config.weekdayBudgets;
+    }
+
+    if (config.rollover !== undefined) {
+      this.rollover = { ...this.rollover, ...config.rollover };
+    }
+
+    if (config.weekly !== undefined) {
+      this.weekly = { ...this.weekly, ...config.weekly };
+      await this.checkWeeklyReset();
+    }
+
+    if (config.earnedBreaks !== undefined) {
+      // Restart the run so a changed interval applies from now on
+      await this.setFocusActive(null);
+      this.earnedBreaks = { ...this.earnedBreaks, ...config.earnedBreaks };
+      await this.syncFocus();
+    }
+
+    // Today's allowance follows the new settings straight away
+    if (this.todaysBudget?.date === getBudgetDate(this.resetTime)) {
+      this.todaysBudget.base = this.getBaseBudget(new Date(`${this.todaysBudget.date}T00:00`));
+    }
+
     await this.saveBudgetData();
     logger.info('Budget config updated', config);
   }
@@ -382,15 +1094,25 @@ export class BudgetManager {
     await storage.set(STORAGE_KEYS.TIME_BUDGET, {
       globalBudget: this.globalBudget,
       resetTime: this.resetTime,
-      today: this.todaysBudget
+      weekdayBudgets: this.weekdayBudgets,
+      rollover: this.rollover,
+      weekly: this.weekly,
+      week: this.weekBudget,
+      earnedBreaks: this.earnedBreaks,
+      focusSince: this.focusSince,
+      focusConfirmedAt: this.focusConfirmedAt,
+      focusUntil: this.focusUntil,
+      today: this.todaysBudget,
+      lastResetDate: this.lastResetDate
     });
   }
 
   /**
    * Save budget data to history
    * @param {Object} dayData
+   * @param {number} carriedOut - Minutes rolled over into the next day
    */
-  async saveToHistory(dayData) {
+  async saveToHistory(dayData, carriedOut = 0) {
     const stats = await storage.get(STORAGE_KEYS.STATISTICS) || { budgetHistory: [] };
     
     if (!stats.budgetHistory) {
@@ -400,8 +1122,17 @@ export class BudgetManager {
     stats.budgetHistory.push({
       date: dayData.date,
       used: dayData.used,
-      total: this.globalBudget,
-      perSite: dayData.perSite
+      total: this.getDayTotal(dayData),
+      base: dayData.base ?? this.globalBudget,
+      carriedIn: dayData.carriedIn || 0,
+      carriedOut,
+      earned: dayData.earned || 0,
+      // Weekly pool usage at the end of this day
+      weekly: this.weekly.enabled && this.weekBudget
+        ? { start: this.weekBudget.start, used: this.weekBudget.used, total: this.weekly.minutes }
+        : null,
+      perSite: dayData.perSite,
+      perGroup: dayData.perGroup || {}
     });
 
     // Keep only last 30 days
@@ -427,24 +1158,28 @@ export class BudgetManager {
 
   /**
    * Get active sessions info
-   * @returns {Array}
+   * @returns {Promise<Array>}
    */
-  getActiveSessions() {
+  async getActiveSessions() {
+    await this.ensureSessionsLoaded();
     return Array.from(this.activeSessions.values()).map(session => ({
       siteId: session.siteId,
-      tabId: session.tabId,
+      pattern: session.pattern,
+      tabIds: session.tabIds,
       minutesUsed: session.minutesUsed,
-      startTime: session.startTime
+      startTime: session.startTime,
+      durationMinutes: session.durationMinutes,
+      inUse: session.inUse
     }));
   }
 
   /**
-   * Check if a tab has an active budget session
-   * @param {number} tabId
+   * Check if a site has an active budget session
+   * @param {string} siteId
    * @returns {boolean}
    */
-  hasActiveSession(tabId) {
-    return this.activeSessions.has(tabId);
+  hasActiveSession(siteId) {
+    return this.activeSessions.has(siteId);
   }
 }
 
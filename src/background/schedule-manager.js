@@ -1,7 +1,7 @@
 import { storage } from '../common/storage.js';
 import { STORAGE_KEYS, DAYS_OF_WEEK } from '../common/constants.js';
 import { Logger } from '../common/logger.js';
-import { timeToMinutes, getCurrentTime, getCurrentDate } from '../common/utils.js';
+import { timeToMinutes, getCurrentTime, getCurrentDate, isTimeInScheduleDays, getNextScheduleTransition } from '../common/utils.js';
 
 const logger = new Logger('ScheduleManager');
 
@@ -11,15 +11,21 @@ let blockingManager = null;
 // Icon update function - will be set from service worker
 let updateExtensionIcon = null;
 
+// Will be set by setBudgetManager() once budgets are loaded
+let budgetManager = null;
+
 /**
  * Manages schedules and determines if blocking should be active
  */
 export class ScheduleManager {
   constructor() {
     this.schedules = [];
-    this.activeScheduleId = null;
+    this.activeScheduleIds = [];
     this.pausedUntil = null;
+    this.pausedAt = null;
+    this.pauseReason = null;
     this.ALARM_NAME = 'scheduleCheck';
+    this.PAUSE_ALARM_NAME = 'pauseExpiry';
   }
 
   /**
@@ -30,6 +36,7 @@ export class ScheduleManager {
 
     try {
       await this.loadSchedules();
+      await this.restorePauseState();
       // Note: Don't start monitoring yet - wait for setBlockingManager()
       logger.info('Schedule manager initialized');
     } catch (error) {
@@ -42,27 +49,117 @@ export class ScheduleManager {
    */
   async loadSchedules() {
     this.schedules = (await storage.get(STORAGE_KEYS.SCHEDULES)) || [];
-    this.activeScheduleId = await storage.get(STORAGE_KEYS.ACTIVE_SCHEDULE);
+    const active = await storage.get(STORAGE_KEYS.ACTIVE_SCHEDULE);
+
+    // Older versions stored a single active schedule ID
+    this.activeScheduleIds = Array.isArray(active) ? active : (active ? [active] : []);
     
-    logger.info(`Loaded ${this.schedules.length} schedules`);
+    logger.info(`Loaded ${this.schedules.length} schedules (${this.activeScheduleIds.length} active)`);
+  }
+
+  /**
+   * Get all schedules that are switched on
+   * @returns {Array}
+   */
+  getActiveSchedules() {
+    return this.schedules.filter(s => this.activeScheduleIds.includes(s.id));
+  }
+
+  /**
+   * Restore a pause that was started before the service worker was suspended.
+   * Expired pauses are cleared; active ones get their expiry alarm re-armed.
+   */
+  async restorePauseState() {
+    const pauseState = await storage.get(STORAGE_KEYS.PAUSE_STATE);
+    if (!pauseState || !pauseState.pausedUntil) {
+      return;
+    }
+
+    if (Date.now() >= pauseState.pausedUntil) {
+      logger.info('Stored pause has expired - clearing');
+      await this.clearPauseState();
+      return;
+    }
+
+    this.pausedUntil = pauseState.pausedUntil;
+    this.pausedAt = pauseState.pausedAt || null;
+    this.pauseReason = pauseState.reason || null;
+
+    // Alarms usually survive worker restarts, but not always a browser restart
+    const alarm = await chrome.alarms.get(this.PAUSE_ALARM_NAME);
+    if (!alarm) {
+      chrome.alarms.create(this.PAUSE_ALARM_NAME, { when: this.pausedUntil });
+    }
+
+    logger.info(`Restored pause until ${new Date(this.pausedUntil).toLocaleString()}`);
+  }
+
+  /**
+   * Persist the current pause so it survives service worker restarts
+   */
+  async savePauseState() {
+    await storage.set(STORAGE_KEYS.PAUSE_STATE, {
+      pausedUntil: this.pausedUntil,
+      pausedAt: this.pausedAt,
+      reason: this.pauseReason
+    });
+  }
+
+  /**
+   * Forget the current pause in memory, in storage and in alarms
+   */
+  async clearPauseState() {
+    this.pausedUntil = null;
+    this.pausedAt = null;
+    this.pauseReason = null;
+    await storage.remove(STORAGE_KEYS.PAUSE_STATE);
+    await chrome.alarms.clear(this.PAUSE_ALARM_NAME);
   }
 
   /**
-   * Start monitoring schedule changes using Chrome alarms
+   * Start monitoring schedule changes using Chrome alarms.
+   * Checks immediately, which also arms a one-shot alarm for the next transition.
    */
   startMonitoring() {
     logger.info('Starting schedule monitoring with alarms...');
-    
-    // Create alarm that fires every minute
-    chrome.alarms.create(this.ALARM_NAME, {
-      delayInMinutes: 1,
-      periodInMinutes: 1
-    });
-    
-    logger.info('Schedule alarm created - will check every minute');
+    return this.checkScheduleState();
+  }
+
+  /**
+   * Arm a one-shot alarm at the next schedule transition (replaces any earlier one)
+   */
+  async scheduleNextCheck() {
+    const nextCheckTime = this.getNextCheckTime();
+
+    await chrome.alarms.clear(this.ALARM_NAME);
 
-    // Check immediately
-    this.checkScheduleState();
+    if (!nextCheckTime) {
+      logger.info('No upcoming schedule change - no alarm armed');
+      return;
+    }
+
+    chrome.alarms.create(this.ALARM_NAME, { when: nextCheckTime });
+    logger.info(`Next schedule check at ${new Date(nextCheckTime).toLocaleString()}`);
+  }
+
+  /**
+   * Get the earliest time any active schedule (or the pause) changes state.
+   * Unlike getNextScheduleChange() this includes transitions hidden by an
+   * overlapping schedule, since those still change which sites are blocked.
+   * @param {number} from - Timestamp to search forward from
+   * @returns {number|null}
+   */
+  getNextCheckTime(from = Date.now()) {
+    const times = this.getActiveSchedules()
+      .map(schedule => this.getNextScheduleChange([schedule], from))
+      .filter(Boolean)
+      .map(change => change.time);
+
+    if (this.pausedUntil && from < this.pausedUntil) {
+      times.push(this.pausedUntil);
+    }
+
+    return times.length > 0 ? Math.min(...times) : null;
   }
 
   /**
@@ -80,25 +177,31 @@ export class ScheduleManager {
     if (alarmName === this.ALARM_NAME) {
       logger.info('Schedule alarm triggered - checking state');
       await this.checkScheduleState();
+    } else if (alarmName === this.PAUSE_ALARM_NAME) {
+      logger.info('Pause expired - resuming blocking');
+      await this.resumeBlocking();
     }
   }
 
   /**
-   * Check if blocking should be active right now
+   * Apply the blocking state for right now and re-arm the transition alarm
    * @returns {boolean}
    */
   async checkScheduleState() {
-    const shouldBlock = await this.shouldBlockNow();
+    const scope = await this.getBlockingScope();
+    const shouldBlock = scope !== null;
     const isPaused = this.pausedUntil && Date.now() < this.pausedUntil;
     
-    const now = new Date();
-    logger.info(`Schedule check at ${now.toLocaleTimeString()}: shouldBlock = ${shouldBlock}`);
-    
     // Directly update blocking manager if available
     if (blockingManager) {
       try {
-        await blockingManager.setBlockingEnabled(shouldBlock);
+        await blockingManager.setBlockingEnabled(shouldBlock, scope);
         logger.info(`Blocking ${shouldBlock ? 'enabled' : 'disabled'} by schedule`);
+
+        // New rules only catch new navigations; send tabs already on blocked sites away now
+        if (shouldBlock) {
+          await blockingManager.sweepOpenTabs();
+        }
       } catch (error) {
         logger.error('Failed to update blocking state:', error);
       }
@@ -112,6 +215,13 @@ export class ScheduleManager {
       await updateExtensionIcon(iconState);
     }
 
+    // Focus runs for earned breaks follow the schedule blocks
+    if (budgetManager) {
+      await budgetManager.setFocusActive(await this.getFocusBlockEnd());
+    }
+
+    await this.scheduleNextCheck();
+
     return shouldBlock;
   }
 
@@ -120,76 +230,78 @@ export class ScheduleManager {
    * @returns {Promise<boolean>}
    */
   async shouldBlockNow() {
+    return (await this.getBlockingScope()) !== null;
+  }
+
+  /**
+   * Get when the schedule block running now ends, for earned-break focus runs
+   * Always-on blocking (no active schedule) has no block to focus through.
+   * @returns {Promise<number|null>} End timestamp, or null when no schedule block is blocking
+   */
+  async getFocusBlockEnd() {
+    const activeSchedules = this.getActiveSchedules();
+    if (activeSchedules.length === 0 || (await this.getBlockingScope()) === null) {
+      return null;
+    }
+
+    const change = this.getNextScheduleChange(activeSchedules);
+    return change?.type === 'end' ? change.time : null;
+  }
+
+  /**
+   * Determine which sites should be blocked right now
+   * @returns {Promise<Object|null>} null when nothing is blocked, otherwise
+   *   { all: true } for every enabled site or { all: false, siteIds, groupIds } for a subset
+   */
+  async getBlockingScope() {
     // Check if manually paused
     if (this.pausedUntil) {
-      const now = Date.now();
-      logger.info(`🔍 Pause check: pausedUntil=${this.pausedUntil}, now=${now}, isPaused=${now < this.pausedUntil}`);
-      if (now < this.pausedUntil) {
-        logger.info('⏸️  PAUSED - blocking disabled');
-        return false; // Paused
-      } else {
-        logger.info('⏰ Pause expired - clearing');
-        this.pausedUntil = null; // Pause expired
+      if (Date.now() < this.pausedUntil) {
+        return null; // Paused
       }
+      await this.clearPauseState(); // Pause expired
     }
 
     // Check if extension is enabled
     const settings = await storage.get(STORAGE_KEYS.SETTINGS);
     if (!settings || !settings.enabled) {
-      logger.info('❌ Extension disabled');
-      return false;
+      return null;
     }
 
-    // If no active schedule, default to always block
-    if (!this.activeScheduleId) {
-      logger.info('✅ No schedule - always block');
-      return true;
+    // If no active schedule, default to always block everything
+    const activeSchedules = this.getActiveSchedules();
+    if (activeSchedules.length === 0) {
+      return { all: true, siteIds: [], groupIds: [] };
     }
 
-    // Find active schedule
-    const schedule = this.schedules.find(s => s.id === this.activeScheduleId);
-    if (!schedule) {
-      logger.info('✅ Schedule not found - default to block');
-      return true; // Default to blocking if schedule not found
+    // Only schedules whose time window covers now contribute sites
+    const runningSchedules = activeSchedules.filter(schedule => this.isTimeInSchedule(schedule));
+    if (runningSchedules.length === 0) {
+      return null;
     }
 
-    // Check if current time matches schedule
-    return this.isTimeInSchedule(schedule);
+    // A schedule without its own site or group list applies to every site
+    const coversEverything = schedule =>
+      (schedule.siteIds || []).length === 0 && (schedule.groupIds || []).length === 0;
+    if (runningSchedules.some(coversEverything)) {
+      return { all: true, siteIds: [], groupIds: [] };
+    }
+
+    const siteIds = new Set(runningSchedules.flatMap(schedule => schedule.siteIds || []));
+    const groupIds = new Set(runningSchedules.flatMap(schedule => schedule.groupIds || []));
+    return { all: false, siteIds: [...siteIds], groupIds: [...groupIds] };
   }
 
   /**
-   * Check if current time falls within schedule
+   * Check if current time falls within schedule.
+   * Blocks that end before they start (e.g. 22:00-02:00) run past midnight
+   * and count against the day they started on.
    * @param {Object} schedule
    * @returns {boolean}
    */
   isTimeInSchedule(schedule) {
-    const now = new Date();
-    const dayName = DAYS_OF_WEEK[now.getDay() === 0 ? 6 : now.getDay() - 1]; // Convert to our format
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const todayBlocks = schedule.days[dayName] || [];
-    
-    logger.info(`⏰ Schedule check: ${dayName} at ${now.getHours()}:${String(now.getMinutes()).padStart(2, '0')} (${currentMinutes} mins)`);
-    logger.info(`📅 Full date: ${now.toString()}`);
-    logger.info(`🗓️ Day index: ${now.getDay()} -> dayName: ${dayName}`);
-    logger.info(`📋 Schedule "${schedule.name}": ${JSON.stringify(schedule.days, null, 2)}`);
-    logger.info(`🎯 Today's blocks for ${dayName}: ${JSON.stringify(todayBlocks)}`);
-
-    // Check if current time is in any block for today
-    for (const block of todayBlocks) {
-      const startMinutes = timeToMinutes(block.start);
-      const endMinutes = timeToMinutes(block.end);
-
-      logger.info(`🔍 Checking block ${block.start}-${block.end}: ${currentMinutes} in [${startMinutes}, ${endMinutes}]?`);
-
-      if (currentMinutes >= startMinutes && currentMinutes <= endMinutes) {
-        logger.info(`✅ Current time IS in schedule block ${block.start}-${block.end}`);
-        return true;
-      }
-    }
-
-    logger.info(`❌ Current time is NOT in any schedule block for ${dayName}`);
-    return false;
+    // Check today's blocks plus any overnight block carried over from yesterday
+    return isTimeInScheduleDays(schedule.days, new Date());
   }
 
   /**
@@ -202,7 +314,9 @@ export class ScheduleManager {
       id: crypto.randomUUID(),
       name: scheduleData.name || 'Untitled Schedule',
       createdDate: Date.now(),
-      days: scheduleData.days || this.getEmptyScheduleDays()
+      days: scheduleData.days || this.getEmptyScheduleDays(),
+      siteIds: scheduleData.siteIds || [], // Empty (with no groups) means every blocked site
+      groupIds: scheduleData.groupIds || []
     };
 
     this.schedules.push(newSchedule);
@@ -228,6 +342,12 @@ export class ScheduleManager {
     await storage.set(STORAGE_KEYS.SCHEDULES, this.schedules);
 
     logger.info(`Updated schedule: ${scheduleId}`);
+
+    // Edited times or sites may change what an active schedule blocks
+    if (this.activeScheduleIds.includes(scheduleId)) {
+      await this.checkScheduleState();
+    }
+
     return schedule;
   }
 
@@ -240,10 +360,11 @@ export class ScheduleManager {
     this.schedules = this.schedules.filter(s => s.id !== scheduleId);
     await storage.set(STORAGE_KEYS.SCHEDULES, this.schedules);
 
-    // If deleted schedule was active, clear active schedule
-    if (this.activeScheduleId === scheduleId) {
-      this.activeScheduleId = null;
-      await storage.set(STORAGE_KEYS.ACTIVE_SCHEDULE, null);
+    // If deleted schedule was active, drop it from the active set
+    if (this.activeScheduleIds.includes(scheduleId)) {
+      this.activeScheduleIds = this.activeScheduleIds.filter(id => id !== scheduleId);
+      await storage.set(STORAGE_KEYS.ACTIVE_SCHEDULE, this.activeScheduleIds);
+      await this.checkScheduleState();
     }
 
     logger.info(`Deleted schedule: ${scheduleId}`);
@@ -251,8 +372,8 @@ export class ScheduleManager {
   }
 
   /**
-   * Set active schedule
-   * @param {string} scheduleId
+   * Make a single schedule the only active one (null turns all schedules off)
+   * @param {string|null} scheduleId
    * @returns {Promise<boolean>}
    */
   async setActiveSchedule(scheduleId) {
@@ -260,8 +381,8 @@ export class ScheduleManager {
       throw new Error('Schedule not found');
     }
 
-    this.activeScheduleId = scheduleId;
-    await storage.set(STORAGE_KEYS.ACTIVE_SCHEDULE, scheduleId);
+    this.activeScheduleIds = scheduleId ? [scheduleId] : [];
+    await storage.set(STORAGE_KEYS.ACTIVE_SCHEDULE, this.activeScheduleIds);
 
     logger.info(`Set active schedule: ${scheduleId}`);
     
@@ -271,12 +392,35 @@ export class ScheduleManager {
     return true;
   }
 
+  /**
+   * Switch one schedule on or off, leaving other active schedules alone
+   * @param {string} scheduleId
+   * @param {boolean} active
+   * @returns {Promise<boolean>}
+   */
+  async setScheduleActive(scheduleId, active) {
+    if (!this.schedules.find(s => s.id === scheduleId)) {
+      throw new Error('Schedule not found');
+    }
+
+    const others = this.activeScheduleIds.filter(id => id !== scheduleId);
+    this.activeScheduleIds = active ? [...others, scheduleId] : others;
+    await storage.set(STORAGE_KEYS.ACTIVE_SCHEDULE, this.activeScheduleIds);
+
+    logger.info(`Schedule ${scheduleId} ${active ? 'activated' : 'deactivated'}`);
+
+    await this.checkScheduleState();
+
+    return true;
+  }
+
   /**
    * Pause blocking for specified duration
    * @param {number} minutes - Minutes to pause (-1 for until tomorrow)
+   * @param {string} reason - Why blocking was paused (e.g. 'manual')
    * @returns {Promise<number>} Pause until timestamp
    */
-  async pauseBlocking(minutes) {
+  async pauseBlocking(minutes, reason = 'manual') {
     logger.info(`⏸️  pauseBlocking called with ${minutes} minutes`);
     
     // Safety check: ensure blocking manager is set
@@ -295,6 +439,13 @@ export class ScheduleManager {
       this.pausedUntil = Date.now() + minutes * 60 * 1000;
     }
 
+    this.pausedAt = Date.now();
+    this.pauseReason = reason;
+    await this.savePauseState();
+
+    // Resume exactly at expiry, even if the worker is asleep by then
+    chrome.alarms.create(this.PAUSE_ALARM_NAME, { when: this.pausedUntil });
+
     logger.info(`⏸️  Paused until ${new Date(this.pausedUntil)}`);
     logger.info(`⏸️  pausedUntil timestamp: ${this.pausedUntil}`);
     
@@ -316,7 +467,7 @@ export class ScheduleManager {
    * @returns {Promise<boolean>}
    */
   async resumeBlocking() {
-    this.pausedUntil = null;
+    await this.clearPauseState();
     logger.info('Blocking resumed');
     
     // Update icon to active state
@@ -334,31 +485,63 @@ export class ScheduleManager {
    */
   async getStatus() {
     const shouldBlock = await this.shouldBlockNow();
-    const activeSchedule = this.schedules.find(s => s.id === this.activeScheduleId);
+    const activeSchedules = this.getActiveSchedules();
+    const settings = await storage.get(STORAGE_KEYS.SETTINGS);
+    const enabled = !!(settings && settings.enabled);
 
     return {
       shouldBlock,
       isPaused: this.pausedUntil && Date.now() < this.pausedUntil,
       pausedUntil: this.pausedUntil,
-      activeSchedule: activeSchedule || null,
-      nextChange: this.getNextScheduleChange(activeSchedule)
+      pausedAt: this.pausedAt,
+      pauseReason: this.pauseReason,
+      activeSchedules,
+      activeSchedule: activeSchedules[0] || null,
+      nextChange: enabled ? this.getNextScheduleChange(activeSchedules) : null
     };
   }
 
   /**
-   * Get time until next schedule change
-   * @param {Object} schedule
-   * @returns {Object|null}
+   * Get the next time blocking starts or ends, taking an active pause into account
+   * @param {Array} schedules - Active schedules (empty means always block)
+   * @param {number} from - Timestamp to search forward from
+   * @returns {Object|null} { type: 'start'|'end', time: number } or null if nothing changes
    */
-  getNextScheduleChange(schedule) {
-    if (!schedule) return null;
+  getNextScheduleChange(schedules = this.getActiveSchedules(), from = Date.now()) {
+    const days = this.combineScheduleDays(schedules);
 
-    // This is simplified - full implementation would calculate
-    // exact time until next block starts/ends
-    return {
-      type: 'end', // or 'start'
-      time: Date.now() + 3600000 // Placeholder: 1 hour from now
-    };
+    // While paused nothing changes until the pause ends
+    if (this.pausedUntil && from < this.pausedUntil) {
+      const resumeDate = new Date(this.pausedUntil);
+
+      if (!days || isTimeInScheduleDays(days, resumeDate)) {
+        return { type: 'start', time: this.pausedUntil };
+      }
+
+      // Schedules are idle when the pause ends, so the next change is their next start
+      return getNextScheduleTransition(days, resumeDate);
+    }
+
+    if (!days) return null;
+
+    return getNextScheduleTransition(days, new Date(from));
+  }
+
+  /**
+   * Merge the blocks of several schedules into one set of days
+   * @param {Array} schedules
+   * @returns {Object|null} Combined days, or null if there are no schedules
+   */
+  combineScheduleDays(schedules) {
+    if (!schedules || schedules.length === 0) return null;
+
+    const days = this.getEmptyScheduleDays();
+    schedules.forEach(schedule => {
+      DAYS_OF_WEEK.forEach(day => {
+        days[day].push(...(schedule.days[day] || []));
+      });
+    });
+    return days;
   }
 
   /**
@@ -386,19 +569,33 @@ export class ScheduleManager {
    * @param {Object} manager - BlockingManager instance
    * @param {boolean} startMonitoring - Whether to start alarm-based monitoring (default: true)
    */
-  setBlockingManager(manager, startMonitoring = true) {
+  async setBlockingManager(manager, startMonitoring = true) {
     blockingManager = manager;
     logger.info('Blocking manager reference set');
     
     // Only start monitoring if requested (tests may disable this to avoid race conditions)
     if (startMonitoring) {
-      this.startMonitoring();
-      logger.info('Schedule monitoring started');
+      try {
+        await this.startMonitoring();
+        logger.info('Schedule monitoring started');
+      } catch (error) {
+        logger.error('Failed to start schedule monitoring:', error);
+      }
     } else {
       logger.info('Schedule monitoring NOT started (disabled for testing)');
     }
   }
   
+  /**
+   * Set budget manager reference so schedule changes start and end focus runs
+   * @param {Object} manager - BudgetManager instance
+   */
+  async setBudgetManager(manager) {
+    budgetManager = manager;
+    logger.info('Budget manager reference set');
+    await budgetManager.setFocusActive(await this.getFocusBlockEnd());
+  }
+
   /**
    * Set the icon update function (called by service worker)
    */
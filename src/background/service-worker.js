@@ -131,23 +131,25 @@ async function initializeExtension() {
     await blockingManager.initialize();
     logger.info('✓ Blocking manager initialized');
     
-    // Initialize schedule manager and link it to blocking manager
-    scheduleManager.setBlockingManager(blockingManager);
-    scheduleManager.setIconUpdateFunction(updateExtensionIcon);
-    logger.info('✓ Blocking manager linked to schedule manager');
-    
+    // Initialize schedule manager first so schedules and any persisted
+    // pause are loaded before monitoring runs its first check
     await scheduleManager.initialize();
     logger.info('✓ Schedule manager initialized');
     
-    // Check schedule state and update blocking accordingly
-    const shouldBlock = await scheduleManager.shouldBlockNow();
-    logger.info('Initial schedule check, should block:', shouldBlock);
-    await blockingManager.setBlockingEnabled(shouldBlock);
+    // Link schedule manager to blocking manager; its first check applies
+    // the blocking state for right now
+    scheduleManager.setIconUpdateFunction(updateExtensionIcon);
+    await scheduleManager.setBlockingManager(blockingManager);
+    logger.info('✓ Blocking manager linked to schedule manager');
     
     // Initialize budget manager
     await budgetManager.initialize();
     logger.info('✓ Budget manager initialized');
     
+    // Link budget manager so schedule changes drive earned breaks
+    await scheduleManager.setBudgetManager(budgetManager);
+    logger.info('✓ Budget manager linked to schedule manager');
+    
     // Initialize statistics manager
     await statisticsManager.initialize();
     logger.info('✓ Statistics manager initialized');
@@ -209,7 +211,7 @@ async function handleMessage(message, sender) {
       return { enabled: true, state: 'active' };
     
     case 'ADD_BLOCKED_SITE':
-      return await blockingManager.addBlockedSite(data.pattern);
+      return await blockingManager.addBlockedSite(data.pattern, { groupId: data.groupId, type: data.type });
     
     case 'REMOVE_BLOCKED_SITE':
       await blockingManager.removeBlockedSite(data.siteId);
@@ -225,10 +227,81 @@ async function handleMessage(message, sender) {
     case 'REMOVE_EXCEPTION':
       return await blockingManager.removeException(data.siteId, data.exceptionPattern);
     
+    case 'GET_RULE_CAPACITY':
+      return await blockingManager.getRuleCapacity();
+    
+    case 'TEST_URL':
+      const urlTest = await blockingManager.testUrl(data.url);
+      const testScheduleStatus = await scheduleManager.getStatus();
+      return {
+        ...urlTest,
+        schedule: {
+          isPaused: !!testScheduleStatus.isPaused,
+          pausedUntil: testScheduleStatus.pausedUntil,
+          activeSchedules: testScheduleStatus.activeSchedules.map(schedule => schedule.name),
+          nextChange: testScheduleStatus.nextChange
+        }
+      };
+    
     case 'GET_BLOCKED_SITES':
       const sites = await blockingManager.getBlockedSites();
       return { sites };
     
+    case 'GET_FOCUS_MODE':
+      const mode = await blockingManager.getFocusMode();
+      return { mode };
+    
+    case 'SET_FOCUS_MODE':
+      await blockingManager.setFocusMode(data.mode);
+      return { success: true };
+    
+    case 'GET_ALLOWED_SITES':
+      const allowedSites = await blockingManager.getAllowedSites();
+      return { sites: allowedSites };
+    
+    case 'ADD_ALLOWED_SITE':
+      return await blockingManager.addAllowedSite(data.pattern);
+    
+    case 'REMOVE_ALLOWED_SITE':
+      await blockingManager.removeAllowedSite(data.siteId);
+      return { success: true };
+    
+    case 'GET_BLOCKLIST_PACKS':
+      const packs = await blockingManager.getBlocklistPacks();
+      return { packs };
+    
+    case 'ADD_BLOCKLIST_PACK':
+      return await blockingManager.addBlocklistPack(data.packId);
+    
+    case 'REMOVE_BLOCKLIST_PACK':
+      return await blockingManager.removeBlocklistPack(data.packId);
+    
+    case 'GET_SITE_GROUPS':
+      const groups = await blockingManager.getSiteGroups();
+      return { groups };
+    
+    case 'CREATE_SITE_GROUP':
+      return await blockingManager.createSiteGroup(data.name);
+    
+    case 'UPDATE_SITE_GROUP':
+      return await blockingManager.updateSiteGroup(data.groupId, data.updates);
+    
+    case 'DELETE_SITE_GROUP':
+      await blockingManager.deleteSiteGroup(data.groupId);
+      return { success: true };
+    
+    case 'SET_SITE_GROUP':
+      await blockingManager.setSiteGroup(data.siteId, data.groupId);
+      return { success: true };
+    
+    case 'SET_SITE_EMBED_BLOCKING':
+      await blockingManager.setSiteEmbedBlocking(data.siteId, data);
+      return { success: true };
+    
+    case 'SET_SITE_BUDGET':
+      await blockingManager.setSiteBudget(data.siteId, data.minutes);
+      return { success: true };
+    
     case 'RECORD_BLOCK':
       await blockingManager.incrementBlockCount(data.siteId);
       return { success: true };
@@ -250,8 +323,12 @@ async function handleMessage(message, sender) {
       await scheduleManager.setActiveSchedule(data.scheduleId);
       return { success: true };
     
+    case 'SET_SCHEDULE_ACTIVE':
+      await scheduleManager.setScheduleActive(data.scheduleId, data.active);
+      return { success: true };
+    
     case 'PAUSE_BLOCKING':
-      const pausedUntil = await scheduleManager.pauseBlocking(data.minutes);
+      const pausedUntil = await scheduleManager.pauseBlocking(data.minutes, data.reason);
       return { pausedUntil };
     
     case 'RESUME_BLOCKING':
@@ -278,7 +355,7 @@ async function handleMessage(message, sender) {
       }
       logger.info('Starting budget session for tab:', tab.id, 'site:', data.siteId);
       try {
-        const session = await budgetManager.startBudgetSession(data.siteId, tab.id);
+        const session = await budgetManager.startBudgetSession(data.siteId, tab.id, data.minutes ?? null);
         logger.info('Budget session created:', session);
         
         // Construct target URL from pattern
@@ -290,10 +367,6 @@ async function handleMessage(message, sender) {
           targetUrl = 'https://' + pattern.replace(/^\*\./, '');
         }
         
-        // Exempt this tab from blocking during the budget session
-        await blockingManager.addExemptTab(tab.id, pattern);
-        logger.info('Tab exempted from blocking with session rule');
-        
         logger.info('Target URL for redirect:', targetUrl);
         logger.info('About to call chrome.tabs.update with tab ID:', tab.id);
         
@@ -305,8 +378,8 @@ async function handleMessage(message, sender) {
         } catch (updateError) {
           logger.error('chrome.tabs.update failed:', updateError);
           logger.error('Error details:', updateError.message, updateError.stack);
-          // Remove exemption if redirect failed
-          await blockingManager.removeExemptTab(tab.id);
+          // End the session (and its exemption) if redirect failed
+          await budgetManager.endBudgetSession(data.siteId);
           return { error: 'Failed to redirect: ' + updateError.message };
         }
         
@@ -318,7 +391,8 @@ async function handleMessage(message, sender) {
       }
     
     case 'END_BUDGET_SESSION':
-      await budgetManager.endBudgetSession(data.tabId);
+      // Ended from the on-page overlay; the site's tabs go back to the blocked page
+      await budgetManager.endBudgetSession(data.siteId, 'sessionEnded');
       return { success: true };
     
     case 'GET_BUDGET_STATUS':
@@ -333,13 +407,15 @@ async function handleMessage(message, sender) {
       return { history };
     
     case 'GET_ACTIVE_SESSIONS':
-      const sessions = budgetManager.getActiveSessions();
+      const sessions = await budgetManager.getActiveSessions();
       return { sessions };
     
     // Statistics management
     case 'getStatistics':
       const todayStats = await statisticsManager.getTodayStats();
       const topSites = statisticsManager.getTopBlockedSites(10);
+      const topGroups = statisticsManager.getTopBlockedGroups(10);
+      const topKeywords = statisticsManager.getTopBlockedKeywords(10);
       const weeklyData = statisticsManager.getWeeklyData();
       const hourlyActivity = statisticsManager.getHourlyActivity();
       
@@ -350,6 +426,8 @@ async function handleMessage(message, sender) {
           streak: todayStats.streak,
           budgetSaved: Math.round((1 - (todayStats.budgetUsed / 30)) * 100), // Simplified
           topSites,
+          topGroups,
+          topKeywords,
           weeklyData,
           hourlyActivity
         }
@@ -375,30 +453,43 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   
   if (alarm.name === 'budgetReset') {
     await budgetManager.resetDailyBudget();
-  } else if (alarm.name === 'scheduleCheck') {
-    // Handle schedule check alarm
+  } else if (alarm.name === 'scheduleCheck' || alarm.name === 'pauseExpiry') {
+    // Handle schedule check and pause expiry alarms
     await scheduleManager.handleAlarm(alarm.name);
+  } else if (alarm.name === 'budgetTick' || alarm.name === 'budgetExhaust' || alarm.name === 'focusReward') {
+    await budgetManager.handleAlarm(alarm.name);
   }
 });
 
-// Listen for tab close (end budget sessions)
+// Listen for tab close (end budget sessions once no tab is left on the site)
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-  if (budgetManager.hasActiveSession(tabId)) {
-    logger.info('Tab closed with active budget session:', tabId);
-    budgetManager.endBudgetSession(tabId);
-  }
+  budgetManager.handleTabRemoved(tabId);
 });
 
-// Listen for tab navigation (end budget sessions if navigating away)
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.url && budgetManager.hasActiveSession(tabId)) {
-    // Check if new URL is still a blocked site
-    const isBlocked = await blockingManager.isUrlBlocked(changeInfo.url);
-    if (!isBlocked) {
-      logger.info('Tab navigated away from blocked site:', tabId);
-      budgetManager.endBudgetSession(tabId);
-    }
+// Listen for tab navigation (tabs joining a session's site or leaving it)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) {
+    budgetManager.handleTabUpdated(tabId, changeInfo.url);
   }
+
+  // A new page load drops the countdown overlay, so put it back
+  if (changeInfo.status === 'complete') {
+    budgetManager.handleTabLoaded(tabId);
+  }
+});
+
+// Budget is only charged while a session's tab is in front of the user
+chrome.tabs.onActivated.addListener(() => {
+  budgetManager.handleActivityChange();
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  budgetManager.handleActivityChange();
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+  logger.debug('Idle state changed:', state);
+  budgetManager.handleActivityChange();
 });
 
 // Keep service worker alive (Manifest V3 requirement)
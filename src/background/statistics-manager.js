@@ -1,5 +1,5 @@
 import { storage } from '../common/storage.js';
-import { STORAGE_KEYS } from '../common/constants.js';
+import { STORAGE_KEYS, PATTERN_TYPES } from '../common/constants.js';
 import { Logger } from '../common/logger.js';
 import { getCurrentDate } from '../common/utils.js';
 
@@ -32,6 +32,8 @@ export class StatisticsManager {
       lastActiveDate: null,
       daily: {},
       siteStats: {},
+      keywordStats: {},
+      groupStats: {},
       hourlyActivity: {},
       budgetHistory: []
     };
@@ -59,8 +61,12 @@ export class StatisticsManager {
 
   /**
    * Record a block event
+   * @param {string} siteId
+   * @param {string} sitePattern
+   * @param {Object|null} group - Site group the site belongs to, if any
+   * @param {string} type - PATTERN_TYPES value of the entry; keywords are counted apart from sites
    */
-  async recordBlock(siteId, sitePattern) {
+  async recordBlock(siteId, sitePattern, group = null, type = PATTERN_TYPES.PATTERN) {
     // Ensure stats are loaded
     if (!this.stats) {
       await this.loadStats();
@@ -78,15 +84,36 @@ export class StatisticsManager {
     this.stats.totalBlocks++;
     this.stats.daily[today].blocks++;
 
-    // Update site stats
-    if (!this.stats.siteStats[sitePattern]) {
-      this.stats.siteStats[sitePattern] = {
+    // Update site (or keyword) stats
+    if (type === PATTERN_TYPES.KEYWORD && !this.stats.keywordStats) {
+      this.stats.keywordStats = {};
+    }
+    const entryStats = type === PATTERN_TYPES.KEYWORD ? this.stats.keywordStats : this.stats.siteStats;
+    if (!entryStats[sitePattern]) {
+      entryStats[sitePattern] = {
         blocks: 0,
         lastBlocked: null
       };
     }
-    this.stats.siteStats[sitePattern].blocks++;
-    this.stats.siteStats[sitePattern].lastBlocked = Date.now();
+    entryStats[sitePattern].blocks++;
+    entryStats[sitePattern].lastBlocked = Date.now();
+
+    // Update group stats (keyed by ID so renaming a group keeps its history)
+    if (group) {
+      if (!this.stats.groupStats) {
+        this.stats.groupStats = {};
+      }
+      if (!this.stats.groupStats[group.id]) {
+        this.stats.groupStats[group.id] = {
+          name: group.name,
+          blocks: 0,
+          lastBlocked: null
+        };
+      }
+      this.stats.groupStats[group.id].name = group.name;
+      this.stats.groupStats[group.id].blocks++;
+      this.stats.groupStats[group.id].lastBlocked = Date.now();
+    }
 
     // Update hourly activity
     if (!this.stats.hourlyActivity[hour]) {
@@ -95,7 +122,7 @@ export class StatisticsManager {
     this.stats.hourlyActivity[hour]++;
 
     await this.saveStats();
-    logger.info('Block recorded', { site: sitePattern });
+    logger.info('Block recorded', { site: sitePattern, type, group: group?.name });
   }
 
   /**
@@ -174,6 +201,35 @@ export class StatisticsManager {
     return sites;
   }
 
+  /**
+   * Get top blocked keywords
+   */
+  getTopBlockedKeywords(limit = 10) {
+    return Object.entries(this.stats.keywordStats || {})
+      .map(([keyword, data]) => ({
+        keyword,
+        blocks: data.blocks,
+        lastBlocked: data.lastBlocked
+      }))
+      .sort((a, b) => b.blocks - a.blocks)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get top blocked site groups
+   */
+  getTopBlockedGroups(limit = 10) {
+    return Object.entries(this.stats.groupStats || {})
+      .map(([id, data]) => ({
+        id,
+        name: data.name,
+        blocks: data.blocks,
+        lastBlocked: data.lastBlocked
+      }))
+      .sort((a, b) => b.blocks - a.blocks)
+      .slice(0, limit);
+  }
+
   /**
    * Get weekly data
    */
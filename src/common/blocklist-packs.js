@@ -0,0 +1,80 @@
+/**
+ * Curated blocklist packs shipped with the extension.
+ * Each pack adds its sites in one click; groupId files them under the
+ * matching default site group (null leaves them ungrouped).
+ */
+export const BLOCKLIST_PACKS = {
+  social: {
+    id: 'social',
+    name: 'Social Media',
+    description: 'Feeds, timelines and social networks',
+    groupId: 'social',
+    sites: [
+      'facebook.com',
+      'twitter.com',
+      'x.com',
+      'instagram.com',
+      'tiktok.com',
+      'linkedin.com',
+      'snapchat.com',
+      'reddit.com'
+    ]
+  },
+  news: {
+    id: 'news',
+    name: 'News',
+    description: 'Major news outlets and aggregators',
+    groupId: 'news',
+    sites: [
+      'cnn.com',
+      'bbc.com',
+      'nytimes.com',
+      'theguardian.com',
+      'reuters.com',
+      'foxnews.com',
+      'news.ycombinator.com'
+    ]
+  },
+  video: {
+    id: 'video',
+    name: 'Video Streaming',
+    description: 'Video and live streaming services',
+    groupId: 'video',
+    sites: [
+      'youtube.com/watch',
+      'netflix.com',
+      'twitch.tv',
+      'hulu.com',
+      'disneyplus.com',
+      'primevideo.com'
+    ]
+  },
+  gaming: {
+    id: 'gaming',
+    name: 'Gaming',
+    description: 'Game stores, streams and gaming news',
+    groupId: null,
+    sites: [
+      'steampowered.com',
+      'epicgames.com',
+      'twitch.tv',
+      'ign.com',
+      'gamespot.com',
+      'kotaku.com'
+    ]
+  },
+  shopping: {
+    id: 'shopping',
+    name: 'Shopping',
+    description: 'Online stores and marketplaces',
+    groupId: 'shopping',
+    sites: [
+      'amazon.com',
+      'ebay.com',
+      'walmart.com',
+      'target.com',
+      'aliexpress.com',
+      'etsy.com'
+    ]
+  }
+};
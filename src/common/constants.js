@@ -5,7 +5,14 @@ export const STORAGE_KEYS = {
   ACTIVE_SCHEDULE: 'activeSchedule',
   TIME_BUDGET: 'timeBudget',
   SETTINGS: 'settings',
-  STATISTICS: 'statistics'
+  STATISTICS: 'statistics',
+  PAUSE_STATE: 'pauseState',
+  BLOCKING_SCOPE: 'blockingScope',
+  SITE_GROUPS: 'siteGroups',
+  ALLOWED_SITES: 'allowedSites',
+  FOCUS_MODE: 'focusMode', // 'blocklist' blocks listed sites, 'allowlist' blocks everything else
+  BUDGET_SESSIONS: 'budgetSessions', // Kept in chrome.storage.session
+  RULE_IDS: 'ruleIds' // Blocked site ID -> first DNR rule ID it owns
 };
 
 // Default Values
@@ -27,12 +34,32 @@ export const DEFAULTS = {
   timeBudget: {
     globalBudget: 30, // minutes
     resetTime: '00:00',
+    // Per-day overrides keyed by day name, e.g. { saturday: 90 }; missing days use globalBudget
+    weekdayBudgets: {},
+    // Carry over a percentage of unused minutes into the next day, banked up to cap minutes
+    rollover: { enabled: false, percent: 50, cap: 30 },
+    // Shared pool of minutes per week; useDailyCap keeps the daily allowance enforced as well
+    weekly: { enabled: false, minutes: 180, resetDay: 'monday', useDailyCap: true },
+    week: null, // { start: 'YYYY-MM-DD', used }
+    // Every focusMinutes of uninterrupted scheduled blocking adds rewardMinutes to today's budget
+    earnedBreaks: { enabled: false, focusMinutes: 25, rewardMinutes: 5 },
+    focusSince: null, // Start of the current uncredited focus run (timestamp)
+    focusConfirmedAt: null, // Last time the focus run was confirmed (timestamp)
+    focusUntil: null, // End of the schedule block the focus run belongs to (timestamp)
     today: null // will be initialized on first run
   },
   
   blockedSites: [],
   schedules: [],
-  activeSchedule: null
+  activeSchedule: [],
+
+  // Groups a blocked site can belong to; customBudget is in minutes (null = global only)
+  siteGroups: [
+    { id: 'social', name: 'Social', enabled: true, customBudget: null },
+    { id: 'news', name: 'News', enabled: true, customBudget: null },
+    { id: 'video', name: 'Video', enabled: true, customBudget: null },
+    { id: 'shopping', name: 'Shopping', enabled: true, customBudget: null }
+  ]
 };
 
 // Extension States
@@ -56,6 +83,16 @@ export const BUDGET_THRESHOLDS = {
   CRITICAL: 0.1   // 10%
 };
 
+// Lengths (minutes) a budget session can be started for
+export const BUDGET_SLICES = [5, 10, 15];
+
+// How a blocked site's pattern is matched; sites without a type use PATTERN
+export const PATTERN_TYPES = {
+  PATTERN: 'pattern', // Domain, wildcard or path pattern (DNR urlFilter)
+  REGEX: 'regex',     // Regular expression against the full URL (DNR regexFilter)
+  KEYWORD: 'keyword'  // Text anywhere in the full URL, query string included
+};
+
 // Days of week
 export const DAYS_OF_WEEK = [
   'monday',
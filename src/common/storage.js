@@ -11,6 +11,7 @@ export class StorageManager {
   constructor() {
     this.local = chrome.storage.local;
     this.sync = chrome.storage.sync;
+    this.session = chrome.storage.session;
   }
 
   /**
@@ -30,7 +31,8 @@ export class StorageManager {
           [STORAGE_KEYS.TIME_BUDGET]: DEFAULTS.timeBudget,
           [STORAGE_KEYS.BLOCKED_SITES]: DEFAULTS.blockedSites,
           [STORAGE_KEYS.SCHEDULES]: DEFAULTS.schedules,
-          [STORAGE_KEYS.ACTIVE_SCHEDULE]: DEFAULTS.activeSchedule
+          [STORAGE_KEYS.ACTIVE_SCHEDULE]: DEFAULTS.activeSchedule,
+          [STORAGE_KEYS.SITE_GROUPS]: DEFAULTS.siteGroups
         });
         
         logger.info('Storage initialized with defaults');
@@ -156,6 +158,39 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Get a value from session storage (in memory, survives service worker
+   * suspension but not a browser restart)
+   * @param {string} key - Storage key
+   * @returns {Promise<any>}
+   */
+  async getSession(key) {
+    try {
+      const result = await this.session.get(key);
+      return result[key];
+    } catch (error) {
+      logger.error(`Failed to get session ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Set a value in session storage
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<boolean>}
+   */
+  async setSession(key, value) {
+    try {
+      await this.session.set({ [key]: value });
+      logger.debug(`Saved session ${key}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to set session ${key}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Listen for storage changes
    * @param {Function} callback - Called when storage changes
@@ -0,0 +1,152 @@
+/**
+ * JavaScript equivalents of declarativeNetRequest URL conditions, so the
+ * extension can tell which open tabs a rule covers without a navigation.
+ */
+
+// Characters DNR treats as separators for '^' (anything but letters, digits and _ - . %)
+const SEPARATOR = '(?:[^a-z0-9_\\-.%]|$)';
+
+/**
+ * Convert a DNR urlFilter into an equivalent (case-insensitive) RegExp
+ * @param {string} urlFilter - e.g. "||reddit.com/r/all*"
+ * @returns {RegExp}
+ */
+export function urlFilterToRegExp(urlFilter) {
+  let filter = urlFilter;
+  let prefix = '';
+  let suffix = '';
+
+  if (filter.startsWith('||')) {
+    // Domain anchor: the host itself or any subdomain of it
+    prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?';
+    filter = filter.slice(2);
+  } else if (filter.startsWith('|')) {
+    prefix = '^';
+    filter = filter.slice(1);
+  }
+
+  if (filter.endsWith('|')) {
+    suffix = '$';
+    filter = filter.slice(0, -1);
+  }
+
+  const body = [...filter].map(char => {
+    if (char === '*') return '.*';
+    if (char === '^') return SEPARATOR;
+    return char.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+  }).join('');
+
+  return new RegExp(prefix + body + suffix, 'i');
+}
+
+/**
+ * Escape text so a regexFilter matches it literally
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Check whether a host is one of the listed domains or a subdomain of one
+ * @param {string} host - Lowercase hostname
+ * @param {Array<string>} domains - DNR requestDomains-style list
+ * @returns {boolean}
+ */
+export function hostMatchesDomains(host, domains) {
+  return domains.some(domain => {
+    const normalized = domain.toLowerCase();
+    return host === normalized || host.endsWith(`.${normalized}`);
+  });
+}
+
+/**
+ * Check whether a URL satisfies a DNR rule condition
+ * Covers the URL filter (urlFilter or regexFilter) and the requestDomains /
+ * excludedRequestDomains lists; other condition keys such as resourceTypes
+ * describe the request rather than the URL and are not checked.
+ * @param {string} url
+ * @param {Object} condition - DNR condition with urlFilter or regexFilter
+ * @returns {boolean}
+ */
+export function matchesCondition(url, condition) {
+  if (!url) return false;
+
+  let filterMatches;
+  if (condition.regexFilter) {
+    // DNR regex filters are case-insensitive unless isUrlFilterCaseSensitive is set
+    const flags = condition.isUrlFilterCaseSensitive ? '' : 'i';
+    filterMatches = new RegExp(condition.regexFilter, flags).test(url);
+  } else if (condition.urlFilter) {
+    filterMatches = urlFilterToRegExp(condition.urlFilter).test(url);
+  } else {
+    // A condition without a URL filter matches every URL, but we only ever ask about filtered ones
+    return false;
+  }
+
+  if (!filterMatches) return false;
+  if (!condition.requestDomains && !condition.excludedRequestDomains) return true;
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  if (condition.requestDomains && !hostMatchesDomains(host, condition.requestDomains)) {
+    return false;
+  }
+  return !(condition.excludedRequestDomains && hostMatchesDomains(host, condition.excludedRequestDomains));
+}
+
+// Within one priority DNR applies the first of these actions that matches
+const ACTION_PRECEDENCE = ['allow', 'allowAllRequests', 'block', 'upgradeScheme', 'redirect', 'modifyHeaders'];
+
+/**
+ * Find the rule DNR would apply to a request for a URL
+ * The highest priority wins; at equal priority the action order above decides.
+ * Rules without resourceTypes match everything except main_frame, as in DNR.
+ * @param {string} url
+ * @param {Array} rules - DNR rules, e.g. the dynamic and session rules together
+ * @param {string} resourceType - DNR resource type of the request
+ * @returns {Object|null} The winning rule, or null when none match
+ */
+export function findMatchingRule(url, rules, resourceType = 'main_frame') {
+  const matching = rules.filter(rule => {
+    const { resourceTypes } = rule.condition;
+    const typeMatches = resourceTypes ? resourceTypes.includes(resourceType) : resourceType !== 'main_frame';
+    return typeMatches && matchesCondition(url, rule.condition);
+  });
+
+  matching.sort((a, b) =>
+    (b.priority || 1) - (a.priority || 1) ||
+    ACTION_PRECEDENCE.indexOf(a.action.type) - ACTION_PRECEDENCE.indexOf(b.action.type)
+  );
+
+  return matching[0] || null;
+}
+
+/**
+ * Work out where a redirect rule sends a URL
+ * regexSubstitution replaces the first match of the regexFilter, with \0 for the
+ * whole match and \1 to \9 for its groups.
+ * @param {Object} rule - DNR rule with a redirect action that matches the URL
+ * @param {string} url
+ * @returns {string|null} The redirect URL, or null for redirect kinds not handled here
+ */
+export function getRedirectUrl(rule, url) {
+  const { redirect } = rule.action;
+
+  if (redirect.regexSubstitution) {
+    const flags = rule.condition.isUrlFilterCaseSensitive ? '' : 'i';
+    const match = new RegExp(rule.condition.regexFilter, flags).exec(url);
+    if (!match) return null;
+
+    const replacement = redirect.regexSubstitution.replace(/\\(\d)/g, (_, group) => match[Number(group)] ?? '');
+    return url.slice(0, match.index) + replacement + url.slice(match.index + match[0].length);
+  }
+
+  return redirect.url || null;
+}
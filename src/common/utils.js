@@ -2,6 +2,8 @@
  * Utility functions used across the extension
  */
 
+import { DAYS_OF_WEEK } from './constants.js';
+
 /**
  * Generate a UUID v4
  * @returns {string}
@@ -14,13 +16,39 @@ export function generateId() {
   });
 }
 
+/**
+ * Format a date as local YYYY-MM-DD
+ * toISOString() would give the UTC date, which differs for part of the day
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Get current date in YYYY-MM-DD format
  * @returns {string}
  */
 export function getCurrentDate() {
-  const date = new Date();
-  return date.toISOString().split('T')[0];
+  return formatLocalDate(new Date());
+}
+
+/**
+ * Get the date the current daily budget started on, for days that begin at resetTime
+ * Before resetTime the previous day's budget is still running.
+ * @param {string} resetTime - Format: "HH:MM"
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function getBudgetDate(resetTime, date = new Date()) {
+  const start = new Date(date);
+  if (start.getHours() * 60 + start.getMinutes() < timeToMinutes(resetTime)) {
+    start.setDate(start.getDate() - 1);
+  }
+  return formatLocalDate(start);
 }
 
 /**
@@ -53,6 +81,174 @@ export function minutesToTime(minutes) {
   return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
 }
 
+/**
+ * Get the schedule day name for a date (schedules use Monday-first days)
+ * @param {Date} date
+ * @returns {string} e.g., "monday"
+ */
+export function getDayName(date) {
+  return DAYS_OF_WEEK[date.getDay() === 0 ? 6 : date.getDay() - 1];
+}
+
+/**
+ * Get the YYYY-MM-DD date a week started on, for weeks beginning on startDay
+ * @param {string} startDay - Day name, e.g. "monday"
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getWeekStartDate(startDay, date = new Date()) {
+  const daysSinceStart = (DAYS_OF_WEEK.indexOf(getDayName(date)) - DAYS_OF_WEEK.indexOf(startDay) + 7) % 7;
+  const start = new Date(date);
+  start.setDate(start.getDate() - daysSinceStart);
+  return formatLocalDate(start);
+}
+
+/**
+ * Check if a schedule block wraps past midnight (e.g., 22:00-02:00)
+ * @param {Object} block - { start: "HH:MM", end: "HH:MM" }
+ * @returns {boolean}
+ */
+export function isOvernightBlock(block) {
+  return timeToMinutes(block.end) < timeToMinutes(block.start);
+}
+
+/**
+ * Get the minute a schedule block ends at (exclusive).
+ * "23:59" is treated as the end of the day so all-day blocks have no gap.
+ * @param {Object} block - { start: "HH:MM", end: "HH:MM" }
+ * @returns {number}
+ */
+export function getBlockEndMinutes(block) {
+  return block.end === '23:59' ? 24 * 60 : timeToMinutes(block.end);
+}
+
+/**
+ * Check if a date falls within any block of a schedule's days.
+ * Blocks run from their start up to (not including) their end.
+ * Overnight blocks belong to the day they start on, so the part after
+ * midnight is found by looking at the previous day's blocks.
+ * @param {Object} days - Schedule days, e.g. { monday: [{ start, end }] }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isTimeInScheduleDays(days, date = new Date()) {
+  const currentMinutes = date.getHours() * 60 + date.getMinutes();
+  const yesterday = new Date(date);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const todayBlocks = days[getDayName(date)] || [];
+  const yesterdayBlocks = days[getDayName(yesterday)] || [];
+
+  const inToday = todayBlocks.some(block => {
+    const startMinutes = timeToMinutes(block.start);
+
+    if (isOvernightBlock(block)) {
+      return currentMinutes >= startMinutes;
+    }
+    return currentMinutes >= startMinutes && currentMinutes < getBlockEndMinutes(block);
+  });
+
+  if (inToday) return true;
+
+  // Early-morning tail of an overnight block that started yesterday
+  return yesterdayBlocks.some(block =>
+    isOvernightBlock(block) && currentMinutes < timeToMinutes(block.end)
+  );
+}
+
+/**
+ * Set a date to a given number of minutes past its midnight
+ * @param {Date} day - Any time on the day
+ * @param {number} minutes - Minutes since midnight (may exceed 24h)
+ * @returns {number} Timestamp
+ */
+function atMinutes(day, minutes) {
+  const date = new Date(day);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + Math.floor(minutes / (24 * 60)));
+  date.setHours(0, minutes % (24 * 60), 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Find the next time a schedule starts or stops blocking.
+ * Walks the schedule's blocks from yesterday through the next week, merging
+ * back-to-back blocks so that e.g. an all-week schedule never "ends".
+ * @param {Object} days - Schedule days, e.g. { monday: [{ start, end }] }
+ * @param {Date} from - Time to search forward from
+ * @returns {Object|null} { type: 'start'|'end', time: number } or null if blocking never changes
+ */
+export function getNextScheduleTransition(days, from = new Date()) {
+  const fromTime = from.getTime();
+  const intervals = [];
+
+  // Yesterday (for overnight tails) through a full week ahead
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(from);
+    day.setDate(day.getDate() + offset);
+
+    (days[getDayName(day)] || []).forEach(block => {
+      const startMinutes = timeToMinutes(block.start);
+      let endMinutes = getBlockEndMinutes(block);
+      if (isOvernightBlock(block)) {
+        endMinutes += 24 * 60;
+      }
+      if (endMinutes > startMinutes) {
+        intervals.push({ start: atMinutes(day, startMinutes), end: atMinutes(day, endMinutes) });
+      }
+    });
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+
+  // Merge overlapping and back-to-back blocks
+  const merged = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  // Anything reaching the end of the window is treated as never ending
+  const horizon = new Date(from);
+  horizon.setDate(horizon.getDate() + 8);
+  horizon.setHours(0, 0, 0, 0);
+
+  for (const interval of merged) {
+    if (interval.end <= fromTime) continue;
+
+    if (interval.start <= fromTime) {
+      return interval.end < horizon.getTime() ? { type: 'end', time: interval.end } : null;
+    }
+    return { type: 'start', time: interval.start };
+  }
+
+  return null;
+}
+
+/**
+ * Describe a schedule change for display
+ * @param {Object|null} change - { type: 'start'|'end', time: number }
+ * @param {Date} now
+ * @returns {string} e.g., "Blocking ends at 17:00" or "Next focus block starts Mon 09:00"
+ */
+export function describeScheduleChange(change, now = new Date()) {
+  if (!change) return '';
+
+  const date = new Date(change.time);
+  const time = minutesToTime(date.getHours() * 60 + date.getMinutes());
+  const when = date.toDateString() === now.toDateString()
+    ? `at ${time}`
+    : `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${time}`;
+
+  return change.type === 'end'
+    ? `Blocking ends ${when}`
+    : `Next focus block starts ${when}`;
+}
+
 /**
  * Format minutes to human readable time
  * @param {number} minutes
@@ -0,0 +1,116 @@
+/**
+ * Budget session countdown badge
+ * Injected with chrome.scripting into tabs on a site with a running budget
+ * session. The service worker sends the remaining time; the badge counts down
+ * locally in between while the page is in front of the user.
+ * Runs as a classic content script, so it can't import the extension's modules.
+ */
+(() => {
+  // Injected again on every refresh; only the first injection sets up the badge
+  if (window.focusBudgetOverlay) return;
+  window.focusBudgetOverlay = true;
+
+  const STYLES = `
+    .badge {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 8px 12px;
+      border-radius: 8px;
+      background: #667eea;
+      color: #fff;
+      font: 600 14px/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+    }
+    .badge.warning { background: #f59e0b; }
+    .badge.critical { background: #ef4444; }
+    .time { font-variant-numeric: tabular-nums; }
+    button {
+      border: 1px solid rgba(255, 255, 255, 0.6);
+      border-radius: 6px;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      font-size: 12px;
+      padding: 4px 8px;
+      cursor: pointer;
+    }
+    button:hover { background: rgba(255, 255, 255, 0.15); }
+  `;
+
+  let host = null;
+  let badge = null;
+  let timeEl = null;
+  let state = null;
+  let timer = null;
+
+  function createBadge() {
+    host = document.createElement('div');
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    badge = document.createElement('div');
+    badge.className = 'badge';
+    badge.innerHTML = '<span>⏱️</span><span class="time"></span><button type="button">End session</button>';
+    timeEl = badge.querySelector('.time');
+
+    badge.querySelector('button').addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        type: 'END_BUDGET_SESSION',
+        data: { siteId: state?.siteId }
+      });
+    });
+
+    shadow.append(style, badge);
+    document.documentElement.appendChild(host);
+  }
+
+  function render() {
+    const seconds = Math.max(0, Math.round(state.remainingSeconds));
+    const minutes = Math.floor(seconds / 60);
+    timeEl.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')} left`;
+
+    const fraction = state.totalSeconds > 0 ? seconds / state.totalSeconds : 0;
+    badge.classList.toggle('critical', fraction <= state.criticalAt);
+    badge.classList.toggle('warning', fraction > state.criticalAt && fraction <= state.warnAt);
+  }
+
+  function update(data) {
+    state = data;
+    if (!host) {
+      createBadge();
+    }
+    render();
+
+    // Budget is only charged while the page is in front, so only count down then
+    if (!timer) {
+      timer = setInterval(() => {
+        if (document.visibilityState === 'visible' && document.hasFocus()) {
+          state.remainingSeconds -= 1;
+          render();
+        }
+      }, 1000);
+    }
+  }
+
+  function remove() {
+    clearInterval(timer);
+    timer = null;
+    host?.remove();
+    host = null;
+  }
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'BUDGET_OVERLAY_UPDATE') {
+      update(message.data);
+    } else if (message.type === 'BUDGET_OVERLAY_REMOVE') {
+      remove();
+    }
+  });
+})();
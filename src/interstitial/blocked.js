@@ -1,4 +1,5 @@
 import { Logger } from '../common/logger.js';
+import { BUDGET_SLICES, PATTERN_TYPES } from '../common/constants.js';
 
 const logger = new Logger('BlockedPage');
 
@@ -7,24 +8,48 @@ const logger = new Logger('BlockedPage');
  */
 class BlockedPageController {
   constructor() {
-    this.params = new URLSearchParams(window.location.search);
+    // Some redirects append the blocked page's URL as-is after '&target=', so it
+    // runs to the end of the address and must be split off before parsing
+    const href = window.location.href;
+    const targetIndex = href.indexOf('&target=');
+    const search = new URL(targetIndex === -1 ? href : href.slice(0, targetIndex)).search;
+    this.targetUrl = targetIndex === -1 ? null : href.slice(targetIndex + '&target='.length);
+
+    this.params = new URLSearchParams(search);
     this.blockedUrl = this.params.get('url');
     this.siteId = this.params.get('id');
+    this.patternType = this.params.get('type') || PATTERN_TYPES.PATTERN;
     this.budgetExhausted = this.params.get('budgetExhausted') === 'true';
+    this.sessionEnded = this.params.get('sliceEnded') === 'true' || this.params.get('sessionEnded') === 'true';
+    this.sliceMinutes = BUDGET_SLICES[0];
+    this.isAllowlistMode = this.params.get('mode') === 'allowlist';
     this.countdownTimer = null;
     
     this.elements = {
       blockedUrlText: document.getElementById('blocked-url-text'),
+      blockedGroup: document.getElementById('blocked-group'),
+      blockedGroupName: document.getElementById('blocked-group-name'),
+      blockedKeyword: document.getElementById('blocked-keyword'),
+      blockedKeywordText: document.getElementById('blocked-keyword-text'),
       goBackBtn: document.getElementById('go-back-btn'),
       removeBlockBtn: document.getElementById('remove-block-btn'),
+      blockReason: document.getElementById('block-reason'),
       settingsLink: document.getElementById('settings-link'),
       quoteText: document.getElementById('quote-text'),
       budgetSection: document.getElementById('budget-section'),
       budgetRemaining: document.getElementById('budget-remaining'),
+      budgetRemainingLabel: document.getElementById('budget-remaining-label'),
+      groupBudgetItem: document.getElementById('group-budget-item'),
+      bankedBudgetItem: document.getElementById('banked-budget-item'),
+      bankedBudget: document.getElementById('banked-budget'),
+      groupBudgetLabel: document.getElementById('group-budget-label'),
+      groupBudgetRemaining: document.getElementById('group-budget-remaining'),
       budgetProgressBar: document.getElementById('budget-progress-bar'),
       budgetWarning: document.getElementById('budget-warning'),
       budgetExhausted: document.getElementById('budget-exhausted'),
       useBudgetBtn: document.getElementById('use-budget-btn'),
+      sliceOptions: document.getElementById('slice-options'),
+      sliceButtons: document.getElementById('slice-buttons'),
       countdownNotice: document.getElementById('countdown-notice'),
       countdown: document.getElementById('countdown')
     };
@@ -46,7 +71,29 @@ class BlockedPageController {
     await this.applyTheme();
     
     // Display blocked URL
-    this.elements.blockedUrlText.textContent = this.blockedUrl || 'Unknown';
+    this.elements.blockedUrlText.textContent = this.targetUrl || this.blockedUrl || 'Unknown';
+
+    // Keywords aren't sites, so show which one matched the page
+    if (this.patternType === PATTERN_TYPES.KEYWORD) {
+      this.elements.blockedKeywordText.textContent = this.blockedUrl;
+      this.elements.blockedKeyword.style.display = 'block';
+      this.elements.blockReason.textContent =
+        'This page contains a keyword on your block list.';
+    }
+
+    // In allowlist mode the site isn't on any block list, so there is nothing to remove
+    if (this.isAllowlistMode) {
+      this.elements.blockReason.textContent =
+        'Allowlist focus mode is on. Only sites on your allowlist can be opened right now.';
+      this.elements.removeBlockBtn.style.display = 'none';
+    }
+    
+    if (this.sessionEnded) {
+      this.elements.blockReason.textContent =
+        'Your budget session has ended. Start another one if you still need this site.';
+    }
+
+    this.renderSliceOptions();
     
     // Set up event listeners FIRST (before loading budget info)
     this.setupListeners();
@@ -69,7 +116,8 @@ class BlockedPageController {
 
     // Remove from block list
     this.elements.removeBlockBtn.addEventListener('click', async () => {
-      if (confirm('Remove this site from your block list?')) {
+      const entry = this.patternType === PATTERN_TYPES.KEYWORD ? 'keyword' : 'site';
+      if (confirm(`Remove this ${entry} from your block list?`)) {
         try {
           await chrome.runtime.sendMessage({
             type: 'REMOVE_BLOCKED_SITE',
@@ -77,8 +125,8 @@ class BlockedPageController {
           });
           
           // Show success and redirect
-          alert('Site removed from block list');
-          window.location.href = this.blockedUrl;
+          alert(`${entry === 'keyword' ? 'Keyword' : 'Site'} removed from block list`);
+          window.location.href = this.targetUrl || this.constructUrlFromPattern(this.blockedUrl);
         } catch (error) {
           logger.error('Failed to remove site:', error);
           alert('Failed to remove site');
@@ -103,6 +151,14 @@ class BlockedPageController {
       logger.warn('Use budget button not found');
     }
 
+    // Session length picker
+    this.elements.sliceButtons.addEventListener('click', (e) => {
+      const button = e.target.closest('.slice-btn');
+      if (button) {
+        this.selectSlice(Number(button.dataset.minutes));
+      }
+    });
+
     // Click anywhere during countdown to cancel
     const countdownNotice = this.elements.countdownNotice;
     if (countdownNotice) {
@@ -129,11 +185,14 @@ class BlockedPageController {
 
       logger.info('Budget check response:', response);
 
+      this.showGroup(response);
+      this.showBanked(response);
+
       // Show budget section
       this.elements.budgetSection.style.display = 'block';
 
       if (this.budgetExhausted || !response.canAccess) {
-        this.showBudgetExhausted();
+        this.showBudgetExhausted(response);
       } else {
         this.showBudgetAvailable(response);
       }
@@ -144,16 +203,76 @@ class BlockedPageController {
     }
   }
 
+  /**
+   * Show which site group the blocked site belongs to, and its budget if it has one
+   * @param {Object} budgetInfo - CHECK_BUDGET response
+   */
+  showGroup(budgetInfo) {
+    if (!budgetInfo.groupName) return;
+
+    this.elements.blockedGroupName.textContent = budgetInfo.groupName;
+    this.elements.blockedGroup.style.display = 'block';
+
+    if (budgetInfo.groupRemaining !== null) {
+      const groupMinutes = Math.floor(budgetInfo.groupRemaining);
+      this.elements.groupBudgetLabel.textContent = `${budgetInfo.groupName} Budget:`;
+      this.elements.groupBudgetRemaining.textContent = `${groupMinutes} minute${groupMinutes !== 1 ? 's' : ''}`;
+      this.elements.groupBudgetItem.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Show minutes rolled over from yesterday, if any
+   * @param {Object} budgetInfo - CHECK_BUDGET response
+   */
+  showBanked(budgetInfo) {
+    if (!budgetInfo.carriedIn) return;
+
+    const banked = budgetInfo.carriedIn;
+    this.elements.bankedBudget.textContent = `${banked} minute${banked !== 1 ? 's' : ''}`;
+    this.elements.bankedBudgetItem.style.display = 'flex';
+  }
+
+  /**
+   * Render one button per allowed session length
+   */
+  renderSliceOptions() {
+    this.elements.sliceButtons.innerHTML = BUDGET_SLICES.map(minutes =>
+      `<button type="button" class="slice-btn" data-minutes="${minutes}">${minutes} min</button>`
+    ).join('');
+    this.selectSlice(this.sliceMinutes);
+  }
+
+  /**
+   * Choose how long the next budget session lasts
+   * @param {number} minutes
+   */
+  selectSlice(minutes) {
+    this.sliceMinutes = minutes;
+    this.elements.sliceButtons.querySelectorAll('.slice-btn').forEach(button => {
+      button.classList.toggle('selected', Number(button.dataset.minutes) === minutes);
+    });
+    this.elements.useBudgetBtn.textContent = `⏱️ Continue for ${minutes} Minutes`;
+  }
+
   showBudgetAvailable(budgetInfo) {
-    const remainingMinutes = Math.floor(budgetInfo.globalRemaining);
+    // The bar follows whichever budget (global, site or group) runs out first
+    const remainingMinutes = Math.floor(budgetInfo.effectiveRemaining);
     
-    logger.info('Showing budget available:', remainingMinutes, 'minutes');
+    logger.info('Showing budget available:', remainingMinutes, 'minutes', { limitedBy: budgetInfo.limitedBy });
     
     // Show remaining budget
+    const labels = {
+      global: 'Remaining Today:',
+      weekly: 'Remaining This Week:',
+      site: 'Remaining for This Site:',
+      group: `Remaining for ${budgetInfo.groupName}:`
+    };
+    this.elements.budgetRemainingLabel.textContent = labels[budgetInfo.limitedBy] || labels.global;
     this.elements.budgetRemaining.textContent = `${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`;
 
     // Update progress bar
-    const percentRemaining = (budgetInfo.globalRemaining / budgetInfo.total) * 100;
+    const percentRemaining = (budgetInfo.effectiveRemaining / budgetInfo.effectiveTotal) * 100;
     this.elements.budgetProgressBar.style.width = `${percentRemaining}%`;
 
     // Show warning if low
@@ -163,13 +282,28 @@ class BlockedPageController {
 
     // Show use budget button
     this.elements.useBudgetBtn.style.display = 'inline-block';
+    this.elements.sliceOptions.style.display = 'flex';
     
     logger.info('Budget available', { remaining: remainingMinutes });
   }
 
-  showBudgetExhausted() {
+  showBudgetExhausted(budgetInfo = {}) {
+    // The global budget may be fine while this site's own or group budget has run out
+    if (budgetInfo.limitedBy === 'weekly') {
+      const resetDay = budgetInfo.weeklyResetDay || 'monday';
+      this.elements.budgetExhausted.textContent =
+        `❌ Your weekly budget is used up. It resets on ${resetDay.charAt(0).toUpperCase()}${resetDay.slice(1)}.`;
+    } else if (budgetInfo.globalRemaining > 0 && budgetInfo.limitedBy === 'site') {
+      this.elements.budgetExhausted.textContent =
+        '❌ Your time budget for this site is used up for today. Try again tomorrow!';
+    } else if (budgetInfo.globalRemaining > 0 && budgetInfo.limitedBy === 'group') {
+      this.elements.budgetExhausted.textContent =
+        `❌ Your ${budgetInfo.groupName} budget is used up for today. Try again tomorrow!`;
+    }
+
     this.elements.budgetExhausted.style.display = 'block';
     this.elements.useBudgetBtn.style.display = 'none';
+    this.elements.sliceOptions.style.display = 'none';
     this.elements.budgetRemaining.textContent = '0 minutes';
     this.elements.budgetProgressBar.style.width = '0%';
     
@@ -179,8 +313,9 @@ class BlockedPageController {
   startBudgetCountdown() {
     logger.info('Starting budget countdown');
     
-    // Hide button, show countdown
+    // Hide button and session lengths, show countdown
     this.elements.useBudgetBtn.style.display = 'none';
+    this.elements.sliceOptions.style.display = 'none';
     this.elements.countdownNotice.style.display = 'block';
 
     let seconds = 5;
@@ -204,6 +339,8 @@ class BlockedPageController {
       this.countdownTimer = null;
       this.elements.countdownNotice.style.display = 'none';
       this.elements.useBudgetBtn.style.display = 'inline-block';
+      // Let the user pick another session length
+      this.elements.sliceOptions.style.display = 'flex';
       logger.info('Countdown cancelled');
     }
   }
@@ -216,7 +353,7 @@ class BlockedPageController {
       // Start budget session - service worker will handle the redirect
       const response = await chrome.runtime.sendMessage({
         type: 'START_BUDGET_SESSION',
-        data: { siteId: this.siteId, pattern: this.blockedUrl }
+        data: { siteId: this.siteId, pattern: this.targetUrl || this.blockedUrl, minutes: this.sliceMinutes }
       });
 
       logger.info('Budget session response:', response);
@@ -0,0 +1,8 @@
+/**
+ * Embedded frame placeholder
+ * Shows which blocked site the frame would have loaded.
+ */
+const pattern = new URLSearchParams(window.location.search).get('url');
+if (pattern) {
+  document.getElementById('blocked-pattern').textContent = pattern;
+}
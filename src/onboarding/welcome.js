@@ -27,6 +27,9 @@ function initialize() {
     finishOnboarding(false);
   });
 
+  // Offer blocklist packs on the "Block Distracting Sites" step
+  loadBlocklistPacks();
+
   // Keyboard navigation
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && currentStep < totalSteps) {
@@ -39,6 +42,61 @@ function initialize() {
   logger.info('Welcome screen initialized');
 }
 
+/**
+ * Render the blocklist packs as toggle buttons
+ */
+async function loadBlocklistPacks() {
+  const container = document.getElementById('pack-options');
+  if (!container) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_BLOCKLIST_PACKS' });
+    const packs = response.packs || [];
+
+    container.innerHTML = '';
+    packs.forEach(pack => {
+      const btn = document.createElement('button');
+      btn.className = 'pack-option';
+      btn.title = pack.description;
+      btn.addEventListener('click', () => togglePack(pack, btn));
+      updatePackButton(pack, btn);
+      container.appendChild(btn);
+    });
+  } catch (error) {
+    logger.error('Failed to load blocklist packs:', error);
+  }
+}
+
+/**
+ * Add or remove a pack when its button is clicked
+ */
+async function togglePack(pack, btn) {
+  btn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: pack.added ? 'REMOVE_BLOCKLIST_PACK' : 'ADD_BLOCKLIST_PACK',
+      data: { packId: pack.id }
+    });
+
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+
+    pack.added = !pack.added;
+    updatePackButton(pack, btn);
+  } catch (error) {
+    logger.error(`Failed to update pack ${pack.id}:`, error);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function updatePackButton(pack, btn) {
+  btn.classList.toggle('added', pack.added);
+  btn.textContent = `${pack.added ? '✓' : '+'} ${pack.name} (${pack.siteCount})`;
+}
+
 /**
  * Move to next step
  */
@@ -1,73 +1,9 @@
 import { Logger } from '../common/logger.js';
 import { STORAGE_KEYS, SCHEDULE_TEMPLATES, DAYS_OF_WEEK } from '../common/constants.js';
+import { timeToMinutes, isOvernightBlock, getBlockEndMinutes, describeScheduleChange } from '../common/utils.js';
 
 const logger = new Logger('Options');
 
-/**
- * Preset categories with common distracting sites
- */
-const PRESET_CATEGORIES = {
-  social: {
-    name: 'Social Media',
-    sites: [
-      'facebook.com',
-      '*.facebook.com',
-      'twitter.com',
-      'x.com',
-      'instagram.com',
-      'tiktok.com',
-      'linkedin.com',
-      'snapchat.com',
-      'reddit.com'
-    ]
-  },
-  news: {
-    name: 'News Sites',
-    sites: [
-      'cnn.com',
-      'bbc.com',
-      'nytimes.com',
-      'theguardian.com',
-      'reuters.com',
-      'foxnews.com',
-      'news.ycombinator.com'
-    ]
-  },
-  video: {
-    name: 'Video Streaming',
-    sites: [
-      'youtube.com/watch',
-      'netflix.com',
-      'twitch.tv',
-      'hulu.com',
-      'disneyplus.com',
-      'primevideo.com'
-    ]
-  },
-  gaming: {
-    name: 'Gaming',
-    sites: [
-      'steam.com',
-      'epicgames.com',
-      'twitch.tv',
-      'ign.com',
-      'gamespot.com',
-      'kotaku.com'
-    ]
-  },
-  shopping: {
-    name: 'Shopping',
-    sites: [
-      'amazon.com',
-      'ebay.com',
-      'walmart.com',
-      'target.com',
-      'aliexpress.com',
-      'etsy.com'
-    ]
-  }
-};
-
 /**
  * Options Page Controller
  */
@@ -75,10 +11,17 @@ class OptionsController {
   constructor() {
     this.blockedSites = [];
     this.filteredSites = [];
+    this.siteGroups = [];
+    this.blocklistPacks = [];
+    this.allowedSites = [];
     this.currentFilter = 'all';
+    this.currentGroupFilter = 'all';
     this.searchQuery = '';
     this.schedules = [];
-    this.activeScheduleId = null;
+    this.activeScheduleIds = [];
+    this.editingScheduleId = null;
+    this.editorDays = null;
+    this.nextScheduleChange = null;
 
     this.elements = {
       // Tabs
@@ -88,9 +31,28 @@ class OptionsController {
       // Add site form
       addSiteForm: document.getElementById('add-site-form'),
       sitePatternInput: document.getElementById('site-pattern-input'),
+      siteTypeSelect: document.getElementById('site-type-select'),
+      addSiteError: document.getElementById('add-site-error'),
+
+      // URL tester
+      testUrlForm: document.getElementById('test-url-form'),
+      testUrlInput: document.getElementById('test-url-input'),
+      testUrlResult: document.getElementById('test-url-result'),
 
-      // Category buttons
-      categoryButtons: document.querySelectorAll('.category-btn'),
+      // Focus mode and allowlist
+      focusModeSelect: document.getElementById('focus-mode-select'),
+      addAllowedForm: document.getElementById('add-allowed-form'),
+      allowedPatternInput: document.getElementById('allowed-pattern-input'),
+      allowedSitesContainer: document.getElementById('allowed-sites-container'),
+      allowedCount: document.getElementById('allowed-count'),
+
+      // Blocklist packs
+      blocklistPacksContainer: document.getElementById('blocklist-packs'),
+
+      // Site groups
+      siteGroupsContainer: document.getElementById('site-groups-container'),
+      addGroupForm: document.getElementById('add-group-form'),
+      groupNameInput: document.getElementById('group-name-input'),
 
       // Import/Export
       exportBtn: document.getElementById('export-btn'),
@@ -99,10 +61,12 @@ class OptionsController {
       // Search and filter
       searchInput: document.getElementById('search-sites-input'),
       filterStatus: document.getElementById('filter-status'),
+      filterGroup: document.getElementById('filter-group'),
 
       // List
       sitesListContainer: document.getElementById('sites-list-container'),
       siteCount: document.getElementById('site-count'),
+      ruleCapacity: document.getElementById('rule-capacity'),
       emptyState: document.getElementById('empty-state'),
 
       // Bulk actions
@@ -120,9 +84,18 @@ class OptionsController {
     // Set up tabs
     this.setupTabs();
 
+    // Load site groups (site items show their group)
+    await this.loadSiteGroups();
+
     // Load blocked sites
     await this.loadBlockedSites();
 
+    // Load blocklist packs
+    await this.loadBlocklistPacks();
+
+    // Load focus mode and allowlist
+    await this.loadFocusMode();
+
     // Load schedules
     await this.loadSchedules();
 
@@ -167,12 +140,28 @@ class OptionsController {
       this.applyFilters();
       
       logger.info(`Loaded ${this.blockedSites.length} blocked sites`);
+
+      await this.loadRuleCapacity();
     } catch (error) {
       logger.error('Failed to load blocked sites:', error);
       this.showNotification('Failed to load blocked sites', 'error');
     }
   }
 
+  async loadSiteGroups() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_SITE_GROUPS'
+      });
+
+      this.siteGroups = response.groups || [];
+      this.renderSiteGroups();
+      this.renderGroupFilter();
+    } catch (error) {
+      logger.error('Failed to load site groups:', error);
+    }
+  }
+
   setupListeners() {
     // Add site form
     this.elements.addSiteForm.addEventListener('submit', (e) => {
@@ -180,12 +169,67 @@ class OptionsController {
       this.handleAddSite();
     });
 
-    // Category buttons
-    this.elements.categoryButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const category = btn.dataset.category;
-        this.handleAddCategory(category);
-      });
+    // URL tester
+    this.elements.testUrlForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleTestUrl();
+    });
+
+    // Site budgets (delegated, rows are re-rendered)
+    document.getElementById('site-budget-list')?.addEventListener('change', (e) => {
+      const row = e.target.closest('[data-site-id]');
+      if (row && e.target.classList.contains('site-budget-input')) {
+        this.handleSiteBudgetChange(row.dataset.siteId, e.target.value.trim());
+      }
+    });
+
+    // Focus mode and allowlist
+    this.elements.focusModeSelect.addEventListener('change', (e) => {
+      this.handleFocusModeChange(e.target.value);
+    });
+
+    this.elements.addAllowedForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAddAllowedSite();
+    });
+
+    this.elements.allowedSitesContainer.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="remove-allowed"]');
+      if (btn) {
+        this.handleRemoveAllowedSite(btn.closest('[data-allowed-id]').dataset.allowedId);
+      }
+    });
+
+    // Blocklist packs (delegated, buttons are re-rendered)
+    this.elements.blocklistPacksContainer.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-pack-id]');
+      if (btn) {
+        this.handleTogglePack(btn.dataset.packId);
+      }
+    });
+
+    // Site groups (delegated, items are re-rendered)
+    this.elements.addGroupForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleAddGroup();
+    });
+
+    this.elements.siteGroupsContainer.addEventListener('click', (e) => {
+      const target = e.target.closest('[data-action]');
+      const groupId = target?.closest('[data-group-id]')?.dataset.groupId;
+      if (!groupId) return;
+
+      if (target.dataset.action === 'toggle-group') {
+        this.handleToggleGroup(groupId);
+      } else if (target.dataset.action === 'delete-group') {
+        this.handleDeleteGroup(groupId);
+      }
+    });
+
+    this.elements.siteGroupsContainer.addEventListener('change', (e) => {
+      if (e.target.dataset.action !== 'group-budget') return;
+      const groupId = e.target.closest('[data-group-id]').dataset.groupId;
+      this.handleGroupBudgetChange(groupId, e.target.value);
     });
 
     // Export button
@@ -212,6 +256,12 @@ class OptionsController {
       this.renderSitesList();
     });
 
+    this.elements.filterGroup.addEventListener('change', (e) => {
+      this.currentGroupFilter = e.target.value;
+      this.applyFilters();
+      this.renderSitesList();
+    });
+
     // Bulk actions
     this.elements.enableAllBtn.addEventListener('click', () => {
       this.handleBulkToggle(true);
@@ -225,21 +275,7 @@ class OptionsController {
       this.handleDeleteAll();
     });
 
-    // Schedule listeners
-    const activeScheduleSelect = document.getElementById('active-schedule-select');
-    if (activeScheduleSelect) {
-      activeScheduleSelect.addEventListener('change', async (e) => {
-        const scheduleId = e.target.value || null;
-        await chrome.runtime.sendMessage({
-          type: 'SET_ACTIVE_SCHEDULE',
-          data: { scheduleId }
-        });
-        this.showNotification('Active schedule updated', 'success');
-        await this.loadSchedules();
-      });
-    }
-
-    // Template buttons
+    // Schedule template buttons
     document.querySelectorAll('.template-btn').forEach(btn => {
       btn.addEventListener('click', async () => {
         const template = btn.dataset.template;
@@ -254,10 +290,28 @@ class OptionsController {
         this.showScheduleEditor(null);
       });
     }
+
+    // Schedule editor buttons
+    document.getElementById('save-schedule-btn')?.addEventListener('click', () => {
+      this.handleSaveSchedule();
+    });
+
+    document.getElementById('cancel-schedule-btn')?.addEventListener('click', () => {
+      this.hideScheduleEditor();
+    });
+
+    // Schedule editor day rows (delegated, rows are re-rendered)
+    const daysEditor = document.getElementById('schedule-days-editor');
+    if (daysEditor) {
+      daysEditor.addEventListener('click', (e) => this.handleScheduleEditorClick(e));
+      daysEditor.addEventListener('change', (e) => this.handleScheduleEditorChange(e));
+    }
   }
 
   async handleAddSite() {
     const pattern = this.elements.sitePatternInput.value.trim();
+    const type = this.elements.siteTypeSelect.value;
+    this.showAddSiteError(null);
 
     if (!pattern) {
       this.showNotification('Please enter a website pattern', 'error');
@@ -265,53 +319,304 @@ class OptionsController {
     }
 
     try {
-      await chrome.runtime.sendMessage({
+      const response = await chrome.runtime.sendMessage({
         type: 'ADD_BLOCKED_SITE',
-        data: { pattern }
+        data: { pattern, type }
       });
 
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
       this.elements.sitePatternInput.value = '';
       await this.loadBlockedSites();
       this.renderSitesList();
       this.showNotification(`Added ${pattern} to block list`, 'success');
     } catch (error) {
       logger.error('Failed to add site:', error);
-      this.showNotification(error.message || 'Failed to add site', 'error');
+      this.showAddSiteError(error.message || 'Failed to add site');
     }
   }
 
-  async handleAddCategory(categoryName) {
-    const category = PRESET_CATEGORIES[categoryName];
-    if (!category) return;
+  showAddSiteError(message) {
+    this.elements.addSiteError.textContent = message || '';
+    this.elements.addSiteError.style.display = message ? 'block' : 'none';
+  }
 
-    const confirmed = confirm(
-      `Add ${category.sites.length} sites from "${category.name}" category?`
-    );
+  async handleTestUrl() {
+    let url = this.elements.testUrlInput.value.trim();
+    if (!url) return;
 
-    if (!confirmed) return;
+    // Let people paste a bare domain or path
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+      url = `https://${url}`;
+    }
 
-    let added = 0;
-    let skipped = 0;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TEST_URL',
+        data: { url }
+      });
 
-    for (const pattern of category.sites) {
-      try {
-        await chrome.runtime.sendMessage({
-          type: 'ADD_BLOCKED_SITE',
-          data: { pattern }
-        });
-        added++;
-      } catch (error) {
-        logger.warn(`Skipped ${pattern}:`, error.message);
-        skipped++;
+      if (response?.error) {
+        throw new Error(response.error);
       }
+
+      this.renderUrlTest(response);
+    } catch (error) {
+      logger.error('Failed to test URL:', error);
+      this.showNotification(error.message || 'Failed to test URL', 'error');
     }
+  }
 
-    await this.loadBlockedSites();
-    this.renderSitesList();
-    this.showNotification(
-      `Added ${added} sites (${skipped} skipped)`,
-      'success'
+  renderUrlTest(result) {
+    const details = [];
+
+    if (result.essential) {
+      details.push('Browser and extension pages are never blocked.');
+    } else if (result.mode === 'allowlist') {
+      if (result.allowedSite) {
+        details.push(`Allowlist mode: allowed by <code>${this.escapeHtml(result.allowedSite.pattern)}</code> (rule #${result.allowRuleId}).`);
+      } else if (result.catchAllRuleId !== null) {
+        details.push(`Allowlist mode: not on the allowlist, so the catch-all rule #${result.catchAllRuleId} blocks it.`);
+      } else {
+        details.push('Allowlist mode only blocks http and https pages.');
+      }
+    } else if (result.matches.length === 0) {
+      details.push('No blocked-site entry matches this URL.');
+    } else {
+      result.matches.forEach(match => {
+        details.push(this.describeUrlTestMatch(match));
+      });
+    }
+
+    if (result.sessionRule) {
+      details.push(`A budget session is running for this site (session rule #${result.sessionRule.id}), so it is allowed in every tab.`);
+    }
+
+    const schedule = result.schedule;
+    if (schedule.isPaused) {
+      details.push(`Blocking is paused until ${new Date(schedule.pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`);
+    } else if (!result.blockingEnabled) {
+      const next = describeScheduleChange(schedule.nextChange);
+      details.push(`Blocking is off right now (no schedule is running).${next ? ` ${next}.` : ''}`);
+    } else if (schedule.activeSchedules.length > 0) {
+      details.push(`Blocking is on: ${this.escapeHtml(schedule.activeSchedules.join(', '))}.`);
+    } else {
+      details.push('Blocking is on all the time (no schedules are active).');
+    }
+
+    this.elements.testUrlResult.innerHTML = `
+      <div class="test-url-verdict ${result.blocked ? 'blocked' : ''}">
+        ${result.blocked ? '🚫 Blocked right now' : '✅ Not blocked right now'}
+      </div>
+      <ul>
+        ${details.map(detail => `<li>${detail}</li>`).join('')}
+      </ul>
+    `;
+    this.elements.testUrlResult.style.display = 'block';
+  }
+
+  describeUrlTestMatch(match) {
+    const pattern = `<code>${this.escapeHtml(match.pattern)}</code>${match.type === 'pattern' ? '' : ` (${match.type})`}`;
+
+    if (match.exception) {
+      return `Matches ${pattern}, but its exception <code>${this.escapeHtml(match.exception)}</code> (${this.describeRuleId(match.exceptionRuleId)}) lets this URL through.`;
+    }
+    if (!match.enabled) {
+      return `Matches ${pattern}, but the site is turned off.`;
+    }
+    if (match.group && !match.group.enabled) {
+      return `Matches ${pattern}, but its group "${this.escapeHtml(match.group.name)}" is turned off.`;
+    }
+    if (!match.inScope) {
+      return `Matches ${pattern}, but none of the running schedules cover it.`;
+    }
+    return `Matches ${pattern} (${this.describeRuleId(match.ruleId)}).`;
+  }
+
+  describeRuleId(ruleId) {
+    // Sites added since the last rule sync have no rule ID yet
+    return ruleId === null ? 'not yet synced' : `rule #${ruleId}`;
+  }
+
+  async loadRuleCapacity() {
+    try {
+      const capacity = await chrome.runtime.sendMessage({ type: 'GET_RULE_CAPACITY' });
+      if (!capacity || capacity.error) return;
+
+      const usage = Math.max(capacity.needed + capacity.sessionRules, capacity.used);
+      let text = `Blocking rules: ${usage} of ${capacity.limit} available in Chrome`;
+      if (capacity.regexNeeded > 0) {
+        text += ` (${capacity.regexNeeded} of ${capacity.regexLimit} regex rules)`;
+      }
+
+      this.elements.ruleCapacity.textContent = text;
+      this.elements.ruleCapacity.classList.toggle('text-danger', usage >= capacity.limit * 0.9);
+    } catch (error) {
+      logger.error('Failed to load rule capacity:', error);
+    }
+  }
+
+  async loadFocusMode() {
+    try {
+      const [modeResponse, allowedResponse] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'GET_FOCUS_MODE' }),
+        chrome.runtime.sendMessage({ type: 'GET_ALLOWED_SITES' })
+      ]);
+
+      this.elements.focusModeSelect.value = modeResponse.mode || 'blocklist';
+      this.allowedSites = allowedResponse.sites || [];
+      this.renderAllowedSites();
+    } catch (error) {
+      logger.error('Failed to load focus mode:', error);
+    }
+  }
+
+  renderAllowedSites() {
+    this.elements.allowedCount.textContent = this.allowedSites.length;
+
+    if (this.allowedSites.length === 0) {
+      this.elements.allowedSitesContainer.innerHTML =
+        '<p class="help-text">No allowed sites yet. In allowlist mode every web page will be blocked.</p>';
+      return;
+    }
+
+    this.elements.allowedSitesContainer.innerHTML = this.allowedSites.map(site => `
+      <span class="exception-tag" data-allowed-id="${site.id}">
+        ${this.escapeHtml(site.pattern)}
+        <button class="exception-remove" data-action="remove-allowed" title="Remove from allowlist">✕</button>
+      </span>
+    `).join('');
+  }
+
+  async handleFocusModeChange(mode) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_FOCUS_MODE',
+        data: { mode }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.showNotification(
+        mode === 'allowlist' ? 'Allowlist mode on - only allowed sites are reachable' : 'Blocklist mode on',
+        'success'
+      );
+    } catch (error) {
+      logger.error('Failed to set focus mode:', error);
+      this.showNotification(error.message || 'Failed to change focus mode', 'error');
+      // Put the mode picker back on the mode still in effect
+      await this.loadFocusMode();
+    }
+  }
+
+  async handleAddAllowedSite() {
+    const pattern = this.elements.allowedPatternInput.value.trim();
+
+    if (!pattern) {
+      this.showNotification('Please enter a website pattern', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ADD_ALLOWED_SITE',
+        data: { pattern }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.elements.allowedPatternInput.value = '';
+      await this.loadFocusMode();
+    } catch (error) {
+      logger.error('Failed to add allowed site:', error);
+      this.showNotification(error.message || 'Failed to add allowed site', 'error');
+    }
+  }
+
+  async handleRemoveAllowedSite(siteId) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'REMOVE_ALLOWED_SITE',
+        data: { siteId }
+      });
+      await this.loadFocusMode();
+    } catch (error) {
+      logger.error('Failed to remove allowed site:', error);
+      this.showNotification('Failed to remove allowed site', 'error');
+    }
+  }
+
+  async loadBlocklistPacks() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_BLOCKLIST_PACKS'
+      });
+
+      this.blocklistPacks = response.packs || [];
+      this.renderBlocklistPacks();
+    } catch (error) {
+      logger.error('Failed to load blocklist packs:', error);
+    }
+  }
+
+  renderBlocklistPacks() {
+    const container = this.elements.blocklistPacksContainer;
+    if (!container) return;
+
+    // Packs are added while any site still lists them as a source
+    this.blocklistPacks.forEach(pack => {
+      pack.added = this.blockedSites.some(site => (site.packIds || []).includes(pack.id));
+    });
+
+    container.innerHTML = this.blocklistPacks.map(pack => `
+      <button
+        class="btn ${pack.added ? 'btn-primary' : 'btn-secondary'} category-btn"
+        data-pack-id="${pack.id}"
+        title="${this.escapeHtml(pack.description)}"
+      >
+        ${pack.added ? '✓ ' : ''}${this.escapeHtml(pack.name)} (${pack.siteCount})
+      </button>
+    `).join('');
+  }
+
+  async handleTogglePack(packId) {
+    const pack = this.blocklistPacks.find(p => p.id === packId);
+    if (!pack) return;
+
+    const confirmed = confirm(pack.added
+      ? `Remove the "${pack.name}" pack? Sites you added yourself stay blocked.`
+      : `Add ${pack.siteCount} sites from the "${pack.name}" pack?`
     );
+
+    if (!confirmed) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: pack.added ? 'REMOVE_BLOCKLIST_PACK' : 'ADD_BLOCKLIST_PACK',
+        data: { packId }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadBlockedSites();
+      this.renderSitesList();
+      this.showNotification(pack.added
+        ? `Removed ${response.removed} sites`
+        : `Added ${response.added} sites (${response.skipped} already blocked)`,
+        'success'
+      );
+    } catch (error) {
+      logger.error('Failed to update blocklist pack:', error);
+      this.showNotification(error.message || 'Failed to update blocklist pack', 'error');
+    }
   }
 
   handleExport() {
@@ -350,7 +655,7 @@ class OptionsController {
         try {
           await chrome.runtime.sendMessage({
             type: 'ADD_BLOCKED_SITE',
-            data: { pattern: site.pattern }
+            data: { pattern: site.pattern, type: site.type }
           });
           added++;
         } catch (error) {
@@ -376,6 +681,12 @@ class OptionsController {
       if (this.currentFilter === 'enabled' && !site.enabled) return false;
       if (this.currentFilter === 'disabled' && site.enabled) return false;
 
+      // Apply group filter ('none' shows ungrouped sites)
+      if (this.currentGroupFilter === 'none' && site.groupId) return false;
+      if (!['all', 'none'].includes(this.currentGroupFilter) && site.groupId !== this.currentGroupFilter) {
+        return false;
+      }
+
       // Apply search filter
       if (this.searchQuery && !site.pattern.toLowerCase().includes(this.searchQuery)) {
         return false;
@@ -388,6 +699,10 @@ class OptionsController {
   renderSitesList() {
     this.elements.siteCount.textContent = this.blockedSites.length;
 
+    // Group site counts and pack state change whenever the site list does
+    this.renderSiteGroups();
+    this.renderBlocklistPacks();
+
     if (this.filteredSites.length === 0) {
       this.elements.sitesListContainer.style.display = 'none';
       this.elements.emptyState.style.display = 'block';
@@ -414,14 +729,32 @@ class OptionsController {
         <div class="site-info">
           <div class="site-pattern">${this.escapeHtml(site.pattern)}</div>
           <div class="site-meta">
+            ${site.type === 'regex' ? '<span>🔣 Regex</span>' : ''}
+            ${site.type === 'keyword' ? '<span>🔑 Keyword</span>' : ''}
             <span>📅 Added ${addedDate}</span>
             <span>🚫 Blocked ${site.blockCount || 0} times</span>
             ${hasExceptions ? `<span>✓ ${site.exceptions.length} exception(s)</span>` : ''}
+            ${site.customBudget ? `<span>⏱️ ${site.customBudget} min/day</span>` : ''}
+            ${site.packIds?.length ? `<span>📦 ${this.escapeHtml(this.getPackNames(site.packIds))}</span>` : ''}
           </div>
           ${this.createExceptionsHTML(site)}
+          <div class="site-options">
+            <label title="Also block this site when it is embedded in other pages">
+              <input type="checkbox" data-action="block-frames" ${site.blockFrames ? 'checked' : ''}> Block embeds
+            </label>
+            <label title="Also block audio and video requests to this site">
+              <input type="checkbox" data-action="block-media" ${site.blockMedia ? 'checked' : ''}> Block media
+            </label>
+          </div>
         </div>
         <div class="site-actions">
-          <button class="btn-small" data-action="add-exception" title="Add exception">+ Exception</button>
+          <select class="select site-group-select" data-action="group" title="Group">
+            <option value="">No group</option>
+            ${this.siteGroups.map(group => `
+              <option value="${group.id}" ${site.groupId === group.id ? 'selected' : ''}>${this.escapeHtml(group.name)}</option>
+            `).join('')}
+          </select>
+          ${site.type ? '' : '<button class="btn-small" data-action="add-exception" title="Add exception">+ Exception</button>'}
           <div class="toggle-switch ${site.enabled ? 'active' : ''}" data-action="toggle"></div>
           <button class="btn-icon" data-action="delete" title="Delete">🗑️</button>
         </div>
@@ -429,6 +762,12 @@ class OptionsController {
     `;
   }
 
+  getPackNames(packIds) {
+    return packIds
+      .map(id => this.blocklistPacks.find(pack => pack.id === id)?.name || id)
+      .join(', ');
+  }
+
   createExceptionsHTML(site) {
     if (!site.exceptions || site.exceptions.length === 0) {
       return '';
@@ -461,9 +800,22 @@ class OptionsController {
       const deleteBtn = item.querySelector('[data-action="delete"]');
       deleteBtn.addEventListener('click', () => this.handleDeleteSite(siteId));
 
+      // Group select
+      const groupSelect = item.querySelector('[data-action="group"]');
+      groupSelect.addEventListener('change', () => this.handleSetSiteGroup(siteId, groupSelect.value));
+
+      // Embed and media blocking
+      const framesCheckbox = item.querySelector('[data-action="block-frames"]');
+      const mediaCheckbox = item.querySelector('[data-action="block-media"]');
+      [framesCheckbox, mediaCheckbox].forEach(checkbox => {
+        checkbox.addEventListener('change', () =>
+          this.handleSetEmbedBlocking(siteId, framesCheckbox.checked, mediaCheckbox.checked)
+        );
+      });
+
       // Add exception button
       const addExceptionBtn = item.querySelector('[data-action="add-exception"]');
-      addExceptionBtn.addEventListener('click', () => this.handleAddException(siteId));
+      addExceptionBtn?.addEventListener('click', () => this.handleAddException(siteId));
 
       // Remove exception buttons
       const removeExceptionBtns = item.querySelectorAll('[data-action="remove-exception"]');
@@ -495,6 +847,169 @@ class OptionsController {
     }
   }
 
+  async handleSetSiteGroup(siteId, groupId) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_SITE_GROUP',
+        data: { siteId, groupId: groupId || null }
+      });
+
+      await this.loadBlockedSites();
+      this.renderSitesList();
+    } catch (error) {
+      logger.error('Failed to set site group:', error);
+      this.showNotification('Failed to move site', 'error');
+    }
+  }
+
+  async handleSetEmbedBlocking(siteId, blockFrames, blockMedia) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_SITE_EMBED_BLOCKING',
+        data: { siteId, blockFrames, blockMedia }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadBlockedSites();
+      this.renderSitesList();
+    } catch (error) {
+      logger.error('Failed to set embed blocking:', error);
+      this.showNotification('Failed to update site', 'error');
+    }
+  }
+
+  // ========== SITE GROUP METHODS ==========
+
+  renderSiteGroups() {
+    const container = this.elements.siteGroupsContainer;
+    if (!container) return;
+
+    if (this.siteGroups.length === 0) {
+      container.innerHTML = '<p class="empty-state">No groups yet.</p>';
+      return;
+    }
+
+    container.innerHTML = this.siteGroups.map(group => {
+      const siteCount = this.blockedSites.filter(site => site.groupId === group.id).length;
+
+      return `
+        <div class="site-group-item ${group.enabled ? '' : 'disabled'}" data-group-id="${group.id}">
+          <span class="site-group-name">${this.escapeHtml(group.name)}</span>
+          <span class="site-group-count">${siteCount} site${siteCount === 1 ? '' : 's'}</span>
+          <input
+            type="number"
+            class="input site-group-budget"
+            data-action="group-budget"
+            min="1"
+            max="1440"
+            placeholder="No budget"
+            value="${group.customBudget || ''}"
+            title="Daily budget in minutes"
+          />
+          <div class="toggle-switch ${group.enabled ? 'active' : ''}" data-action="toggle-group"></div>
+          <button class="btn-icon" data-action="delete-group" title="Delete group">🗑️</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderGroupFilter() {
+    const select = this.elements.filterGroup;
+    if (!select) return;
+
+    select.innerHTML = `
+      <option value="all">All Groups</option>
+      <option value="none">No Group</option>
+      ${this.siteGroups.map(group => `<option value="${group.id}">${this.escapeHtml(group.name)}</option>`).join('')}
+    `;
+
+    // Fall back to all groups if the filtered group was deleted
+    if (!this.siteGroups.some(g => g.id === this.currentGroupFilter) && this.currentGroupFilter !== 'none') {
+      this.currentGroupFilter = 'all';
+    }
+    select.value = this.currentGroupFilter;
+  }
+
+  async handleAddGroup() {
+    const name = this.elements.groupNameInput.value.trim();
+
+    if (!name) {
+      this.showNotification('Please enter a group name', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CREATE_SITE_GROUP',
+        data: { name }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.elements.groupNameInput.value = '';
+      await this.loadSiteGroups();
+      this.renderSitesList();
+      this.showNotification(`Created group ${name}`, 'success');
+    } catch (error) {
+      logger.error('Failed to create group:', error);
+      this.showNotification(error.message || 'Failed to create group', 'error');
+    }
+  }
+
+  async handleToggleGroup(groupId) {
+    const group = this.siteGroups.find(g => g.id === groupId);
+    if (!group) return;
+
+    await this.updateGroup(groupId, { enabled: !group.enabled });
+  }
+
+  async handleGroupBudgetChange(groupId, value) {
+    const minutes = parseInt(value, 10);
+    await this.updateGroup(groupId, { customBudget: minutes > 0 ? minutes : null });
+  }
+
+  async updateGroup(groupId, updates) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_SITE_GROUP',
+        data: { groupId, updates }
+      });
+
+      await this.loadSiteGroups();
+    } catch (error) {
+      logger.error('Failed to update group:', error);
+      this.showNotification('Failed to update group', 'error');
+    }
+  }
+
+  async handleDeleteGroup(groupId) {
+    const group = this.siteGroups.find(g => g.id === groupId);
+    if (!group) return;
+
+    const confirmed = confirm(`Delete group "${group.name}"? Its sites stay blocked but become ungrouped.`);
+    if (!confirmed) return;
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'DELETE_SITE_GROUP',
+        data: { groupId }
+      });
+
+      await this.loadSiteGroups();
+      await this.loadBlockedSites();
+      this.renderSitesList();
+      this.showNotification('Group deleted', 'success');
+    } catch (error) {
+      logger.error('Failed to delete group:', error);
+      this.showNotification('Failed to delete group', 'error');
+    }
+  }
+
   async handleDeleteSite(siteId) {
     const site = this.blockedSites.find(s => s.id === siteId);
     if (!site) return;
@@ -526,18 +1041,26 @@ class OptionsController {
       `Examples:\n` +
       `- For youtube.com, allow: music.youtube.com\n` +
       `- For reddit.com, allow: old.reddit.com\n` +
-      `- For github.com, allow: gist.github.com\n\n` +
+      `- For github.com, allow: gist.github.com\n` +
+      `- For youtube.com, allow: youtube.com/feed/subscriptions\n` +
+      `- For reddit.com, allow: reddit.com/r/*/comments\n\n` +
+      `Exceptions only lift this entry's block. A path exception can also let ` +
+      `through other site entries that have path exceptions of their own.\n\n` +
       `Enter the URL pattern to allow:`
     );
 
     if (!exceptionPattern || !exceptionPattern.trim()) return;
 
     try {
-      await chrome.runtime.sendMessage({
+      const response = await chrome.runtime.sendMessage({
         type: 'ADD_EXCEPTION',
         data: { siteId, exceptionPattern: exceptionPattern.trim() }
       });
 
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
       await this.loadBlockedSites();
       this.renderSitesList();
       this.showNotification('Exception added', 'success');
@@ -639,7 +1162,8 @@ class OptionsController {
         type: 'GET_SCHEDULE_STATUS'
       });
       
-      this.activeScheduleId = status.activeSchedule?.id || null;
+      this.activeScheduleIds = (status.activeSchedules || []).map(s => s.id);
+      this.nextScheduleChange = status.nextChange || null;
       
       this.renderSchedules();
       
@@ -650,19 +1174,22 @@ class OptionsController {
   }
 
   renderSchedules() {
-    // Update active schedule dropdown
-    const activeSelect = document.getElementById('active-schedule-select');
-    if (!activeSelect) return;
+    // Summarize which schedules are switched on
+    const summaryEl = document.getElementById('active-schedules-summary');
+    if (summaryEl) {
+      const activeNames = this.schedules
+        .filter(schedule => this.activeScheduleIds.includes(schedule.id))
+        .map(schedule => schedule.name);
+      summaryEl.textContent = activeNames.length > 0
+        ? activeNames.join(', ')
+        : 'Always Active (No Schedule)';
+    }
 
-    activeSelect.innerHTML = '<option value="">Always Active (No Schedule)</option>';
-    
-    this.schedules.forEach(schedule => {
-      const option = document.createElement('option');
-      option.value = schedule.id;
-      option.textContent = schedule.name;
-      option.selected = schedule.id === this.activeScheduleId;
-      activeSelect.appendChild(option);
-    });
+    // Show when blocking next starts or ends
+    const nextChangeEl = document.getElementById('schedule-next-change');
+    if (nextChangeEl) {
+      nextChangeEl.textContent = describeScheduleChange(this.nextScheduleChange);
+    }
 
     // Update schedule count
     const scheduleCount = document.getElementById('schedule-count');
@@ -687,7 +1214,7 @@ class OptionsController {
   }
 
   createScheduleItemHTML(schedule) {
-    const isActive = schedule.id === this.activeScheduleId;
+    const isActive = this.activeScheduleIds.includes(schedule.id);
     
     return `
       <div class="site-item ${isActive ? 'active-schedule' : ''}" data-schedule-id="${schedule.id}">
@@ -701,6 +1228,7 @@ class OptionsController {
           </div>
         </div>
         <div class="site-actions">
+          <div class="toggle-switch ${isActive ? 'active' : ''}" data-action="toggle-active" title="${isActive ? 'Deactivate' : 'Activate'}"></div>
           <button class="btn-icon" data-action="edit" title="Edit">✏️</button>
           <button class="btn-icon" data-action="delete" title="Delete">🗑️</button>
         </div>
@@ -713,15 +1241,40 @@ class OptionsController {
       schedule.days[day] && schedule.days[day].length > 0
     );
     
-    return `📅 ${activeDays.length} days configured`;
+    const blocks = activeDays.map(day => {
+      const dayBlocks = schedule.days[day]
+        .map(block => this.formatBlock(block))
+        .join(', ');
+      return `<span>${day.slice(0, 3)} ${dayBlocks}</span>`;
+    });
+
+    const siteCount = (schedule.siteIds || []).length;
+    const groupCount = (schedule.groupIds || []).length;
+    const scopeParts = [];
+    if (siteCount > 0) scopeParts.push(`${siteCount} site${siteCount === 1 ? '' : 's'}`);
+    if (groupCount > 0) scopeParts.push(`${groupCount} group${groupCount === 1 ? '' : 's'}`);
+    const sitesLabel = scopeParts.length > 0 ? scopeParts.join(' + ') : 'All sites';
+
+    return `<span>📅 ${activeDays.length} days configured</span><span>🎯 ${sitesLabel}</span>${blocks.join('')}`;
+  }
+
+  /**
+   * Format a schedule block, marking ones that run past midnight
+   * @param {Object} block - { start, end }
+   * @returns {string}
+   */
+  formatBlock(block) {
+    const range = `${block.start}–${block.end}`;
+    return isOvernightBlock(block) ? `${range} (next day) 🌙` : range;
   }
 
   attachScheduleListeners() {
     const container = document.getElementById('schedules-list-container');
-    if (!container) return;
+    if (!container || container.dataset.listenersAttached) return;
+    container.dataset.listenersAttached = 'true';
 
     container.addEventListener('click', async (e) => {
-      const btn = e.target.closest('.btn-icon');
+      const btn = e.target.closest('[data-action]');
       if (!btn) return;
 
       const scheduleItem = btn.closest('[data-schedule-id]');
@@ -730,7 +1283,9 @@ class OptionsController {
       const scheduleId = scheduleItem.dataset.scheduleId;
       const action = btn.dataset.action;
 
-      if (action === 'edit') {
+      if (action === 'toggle-active') {
+        await this.handleToggleScheduleActive(scheduleId);
+      } else if (action === 'edit') {
         await this.handleEditSchedule(scheduleId);
       } else if (action === 'delete') {
         await this.handleDeleteSchedule(scheduleId);
@@ -762,38 +1317,259 @@ class OptionsController {
     }
   }
 
+  /**
+   * Open the schedule editor for a new or existing schedule
+   * @param {string|null} scheduleId - Schedule to edit, or null to create one
+   */
   showScheduleEditor(scheduleId) {
-    // Simplified for now - full editor would be more complex
-    const name = prompt('Schedule name:');
-    if (!name) return;
+    const schedule = scheduleId ? this.schedules.find(s => s.id === scheduleId) : null;
+
+    this.editingScheduleId = schedule ? schedule.id : null;
+    this.editorDays = {};
+    DAYS_OF_WEEK.forEach(day => {
+      const blocks = schedule?.days?.[day] || [];
+      this.editorDays[day] = blocks.map(block => ({ start: block.start, end: block.end }));
+    });
+
+    document.getElementById('schedule-editor-title').textContent =
+      schedule ? `Edit "${schedule.name}"` : 'New Schedule';
+    document.getElementById('schedule-name-input').value = schedule ? schedule.name : '';
+    document.getElementById('schedule-editor-errors').style.display = 'none';
 
-    this.createFromTemplate('WORKDAY'); // Default to workday for now
+    this.renderScheduleEditorDays();
+    this.renderScheduleEditorSites(schedule?.siteIds || []);
+    this.renderScheduleEditorGroups(schedule?.groupIds || []);
+
+    const editor = document.getElementById('schedule-editor');
+    editor.style.display = 'block';
+    editor.scrollIntoView({ behavior: 'smooth' });
   }
 
-  async handleEditSchedule(scheduleId) {
-    const schedule = this.schedules.find(s => s.id === scheduleId);
-    if (!schedule) return;
+  hideScheduleEditor() {
+    this.editingScheduleId = null;
+    this.editorDays = null;
+    document.getElementById('schedule-editor').style.display = 'none';
+  }
 
-    const newName = prompt('Schedule name:', schedule.name);
-    if (!newName || newName === schedule.name) return;
+  renderScheduleEditorDays() {
+    const container = document.getElementById('schedule-days-editor');
+    if (!container || !this.editorDays) return;
+
+    container.innerHTML = DAYS_OF_WEEK.map(day => `
+      <div class="schedule-day-row" data-day="${day}">
+        <div class="schedule-day-label">${day}</div>
+        <div class="schedule-day-blocks">
+          ${this.editorDays[day].map((block, index) => `
+            <div class="schedule-block-row" data-index="${index}">
+              <input type="time" class="input" data-field="start" value="${block.start}" />
+              <span>to</span>
+              <input type="time" class="input" data-field="end" value="${block.end}" />
+              ${block.start && block.end && isOvernightBlock(block) ? '<span class="overnight-tag">🌙 ends next day</span>' : ''}
+              <button class="btn-icon" data-action="remove-block" title="Remove block">✕</button>
+            </div>
+          `).join('')}
+          <div>
+            <button class="btn-small" data-action="add-block">+ Add Block</button>
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
 
-    try {
-      await chrome.runtime.sendMessage({
-        type: 'UPDATE_SCHEDULE',
-        data: {
-          scheduleId,
-          updates: { name: newName }
+  /**
+   * Render the blocked-site checklist for the schedule editor
+   * @param {Array} selectedIds - Site IDs the schedule currently covers
+   */
+  renderScheduleEditorSites(selectedIds) {
+    const container = document.getElementById('schedule-sites-editor');
+    if (!container) return;
+
+    if (this.blockedSites.length === 0) {
+      container.innerHTML = '<p class="empty-state">No blocked sites yet.</p>';
+      return;
+    }
+
+    container.innerHTML = this.blockedSites.map(site => `
+      <label class="schedule-site-option">
+        <input type="checkbox" value="${site.id}" ${selectedIds.includes(site.id) ? 'checked' : ''} />
+        ${this.escapeHtml(site.pattern)}
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Render the site group checklist for the schedule editor
+   * @param {Array} selectedIds - Group IDs the schedule currently covers
+   */
+  renderScheduleEditorGroups(selectedIds) {
+    const container = document.getElementById('schedule-groups-editor');
+    if (!container) return;
+
+    container.innerHTML = this.siteGroups.map(group => `
+      <label class="schedule-site-option">
+        <input type="checkbox" value="${group.id}" ${selectedIds.includes(group.id) ? 'checked' : ''} />
+        📁 ${this.escapeHtml(group.name)}
+      </label>
+    `).join('');
+  }
+
+  handleScheduleEditorClick(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+
+    const day = btn.closest('[data-day]').dataset.day;
+
+    if (btn.dataset.action === 'add-block') {
+      this.editorDays[day].push({ start: '09:00', end: '17:00' });
+    } else if (btn.dataset.action === 'remove-block') {
+      const index = Number(btn.closest('[data-index]').dataset.index);
+      this.editorDays[day].splice(index, 1);
+    }
+
+    this.renderScheduleEditorDays();
+  }
+
+  handleScheduleEditorChange(e) {
+    const input = e.target.closest('[data-field]');
+    if (!input) return;
+
+    const day = input.closest('[data-day]').dataset.day;
+    const index = Number(input.closest('[data-index]').dataset.index);
+    this.editorDays[day][index][input.dataset.field] = input.value;
+
+    // Re-render to update the overnight marker
+    this.renderScheduleEditorDays();
+  }
+
+  /**
+   * Validate schedule blocks, including ones that run past midnight
+   * @param {Object} days - Schedule days being edited
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateScheduleDays(days) {
+    const errors = [];
+    const weekMinutes = 7 * 24 * 60;
+    const ranges = [];
+
+    DAYS_OF_WEEK.forEach((day, dayIndex) => {
+      days[day].forEach((block, blockIndex) => {
+        const label = `${day.charAt(0).toUpperCase() + day.slice(1)} ${block.start || '--:--'}–${block.end || '--:--'}`;
+
+        if (!block.start || !block.end) {
+          errors.push(`${label}: start and end times are required`);
+          return;
+        }
+
+        const startMinutes = timeToMinutes(block.start);
+        let endMinutes = getBlockEndMinutes(block);
+
+        if (startMinutes === endMinutes) {
+          errors.push(`${label}: start and end times must differ`);
+          return;
         }
+
+        // Overnight blocks continue into the next day
+        if (isOvernightBlock(block)) {
+          endMinutes += 24 * 60;
+        }
+
+        const offset = dayIndex * 24 * 60;
+        ranges.push({ key: `${day}-${blockIndex}`, label, start: offset + startMinutes, end: offset + endMinutes });
       });
+    });
+
+    // Sunday's overnight block wraps into Monday morning
+    const wrapped = ranges
+      .filter(range => range.end > weekMinutes)
+      .map(range => ({ ...range, start: range.start - weekMinutes, end: range.end - weekMinutes }));
+
+    const allRanges = [...ranges, ...wrapped].sort((a, b) => a.start - b.start);
+    let furthest = null;
+    allRanges.forEach(current => {
+      if (furthest && current.start < furthest.end && current.key !== furthest.key) {
+        errors.push(`${furthest.label} overlaps ${current.label}`);
+      }
+      if (!furthest || current.end > furthest.end) {
+        furthest = current;
+      }
+    });
+
+    return [...new Set(errors)];
+  }
 
+  async handleSaveSchedule() {
+    const name = document.getElementById('schedule-name-input').value.trim();
+    const errorsEl = document.getElementById('schedule-editor-errors');
+    const errors = this.validateScheduleDays(this.editorDays);
+
+    if (!name) {
+      errors.unshift('Please enter a schedule name');
+    }
+
+    if (errors.length > 0) {
+      errorsEl.innerHTML = errors.map(error => `<div>${this.escapeHtml(error)}</div>`).join('');
+      errorsEl.style.display = 'block';
+      return;
+    }
+
+    const siteIds = [...document.querySelectorAll('#schedule-sites-editor input:checked')]
+      .map(input => input.value);
+    const groupIds = [...document.querySelectorAll('#schedule-groups-editor input:checked')]
+      .map(input => input.value);
+
+    // Keep blocks in start-time order within each day
+    const days = {};
+    DAYS_OF_WEEK.forEach(day => {
+      days[day] = [...this.editorDays[day]]
+        .sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+    });
+
+    try {
+      if (this.editingScheduleId) {
+        await chrome.runtime.sendMessage({
+          type: 'UPDATE_SCHEDULE',
+          data: {
+            scheduleId: this.editingScheduleId,
+            updates: { name, days, siteIds, groupIds }
+          }
+        });
+      } else {
+        await chrome.runtime.sendMessage({
+          type: 'CREATE_SCHEDULE',
+          data: { name, days, siteIds, groupIds }
+        });
+      }
+
+      const wasEditing = !!this.editingScheduleId;
+      this.hideScheduleEditor();
       await this.loadSchedules();
-      this.showNotification('Schedule updated', 'success');
+      this.showNotification(wasEditing ? 'Schedule updated' : 'Schedule created', 'success');
     } catch (error) {
-      logger.error('Failed to update schedule:', error);
+      logger.error('Failed to save schedule:', error);
+      this.showNotification('Failed to save schedule', 'error');
+    }
+  }
+
+  async handleToggleScheduleActive(scheduleId) {
+    const active = !this.activeScheduleIds.includes(scheduleId);
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_SCHEDULE_ACTIVE',
+        data: { scheduleId, active }
+      });
+      await this.loadSchedules();
+      this.showNotification(active ? 'Schedule activated' : 'Schedule deactivated', 'success');
+    } catch (error) {
+      logger.error('Failed to toggle schedule:', error);
       this.showNotification('Failed to update schedule', 'error');
     }
   }
 
+  async handleEditSchedule(scheduleId) {
+    this.showScheduleEditor(scheduleId);
+  }
+
   async handleDeleteSchedule(scheduleId) {
     const schedule = this.schedules.find(s => s.id === scheduleId);
     if (!schedule) return;
@@ -839,6 +1615,7 @@ class OptionsController {
 
       // Update UI
       this.updateBudgetDisplay(statusResponse, sessionsResponse.sessions || []);
+      this.renderSiteBudgets(statusResponse.perSite || {});
       this.renderBudgetHistory(historyResponse.history || []);
 
       // Load budget settings into form
@@ -855,22 +1632,56 @@ class OptionsController {
       // Get current budget configuration from storage
       const budgetData = await chrome.storage.local.get(['timeBudget']);
       const budget = budgetData.timeBudget || { globalBudget: 30, resetTime: '00:00' };
+      const rollover = budget.rollover || { enabled: false, percent: 50, cap: 30 };
+      const weekly = budget.weekly || { enabled: false, minutes: 180, resetDay: 'monday', useDailyCap: true };
+      const earnedBreaks = budget.earnedBreaks || { enabled: false, focusMinutes: 25, rewardMinutes: 5 };
 
       // Update form fields
       const globalBudgetInput = document.getElementById('global-budget');
       const resetTimeInput = document.getElementById('reset-time');
+      const rolloverEnabledInput = document.getElementById('rollover-enabled');
+      const rolloverPercentInput = document.getElementById('rollover-percent');
+      const rolloverCapInput = document.getElementById('rollover-cap');
 
       if (globalBudgetInput) {
         globalBudgetInput.value = budget.globalBudget;
       }
 
+      const weekdayBudgets = budget.weekdayBudgets || {};
+      document.querySelectorAll('#weekday-budgets input[data-day]').forEach(input => {
+        input.value = weekdayBudgets[input.dataset.day] ?? '';
+        input.placeholder = budget.globalBudget;
+      });
+
       if (resetTimeInput) {
         resetTimeInput.value = budget.resetTime;
       }
 
-      // Add save button listener
+      if (rolloverEnabledInput) {
+        rolloverEnabledInput.checked = rollover.enabled;
+      }
+
+      if (rolloverPercentInput) {
+        rolloverPercentInput.value = rollover.percent;
+      }
+
+      if (rolloverCapInput) {
+        rolloverCapInput.value = rollover.cap;
+      }
+
+      document.getElementById('weekly-enabled').checked = weekly.enabled;
+      document.getElementById('weekly-minutes').value = weekly.minutes;
+      document.getElementById('weekly-reset-day').value = weekly.resetDay;
+      document.getElementById('weekly-daily-cap').checked = weekly.useDailyCap;
+
+      document.getElementById('earned-enabled').checked = earnedBreaks.enabled;
+      document.getElementById('earned-focus-minutes').value = earnedBreaks.focusMinutes;
+      document.getElementById('earned-reward-minutes').value = earnedBreaks.rewardMinutes;
+
+      // Add save button listener (once - budget info is reloaded after every change)
       const saveBudgetBtn = document.getElementById('save-budget-btn');
-      if (saveBudgetBtn) {
+      if (saveBudgetBtn && !saveBudgetBtn.dataset.listenerAttached) {
+        saveBudgetBtn.dataset.listenerAttached = 'true';
         saveBudgetBtn.addEventListener('click', () => this.saveBudgetSettings());
       }
     } catch (error) {
@@ -886,6 +1697,32 @@ class OptionsController {
 
       const globalBudget = parseInt(globalBudgetInput.value);
       const resetTime = resetTimeInput.value;
+      const weekdayBudgets = {};
+      let invalidWeekday = false;
+      document.querySelectorAll('#weekday-budgets input[data-day]').forEach(input => {
+        if (input.value === '') return;
+        const minutes = parseInt(input.value);
+        if (isNaN(minutes) || minutes < 0 || minutes > 480) {
+          invalidWeekday = true;
+        }
+        weekdayBudgets[input.dataset.day] = minutes;
+      });
+      const rollover = {
+        enabled: document.getElementById('rollover-enabled').checked,
+        percent: parseInt(document.getElementById('rollover-percent').value),
+        cap: parseInt(document.getElementById('rollover-cap').value)
+      };
+      const weekly = {
+        enabled: document.getElementById('weekly-enabled').checked,
+        minutes: parseInt(document.getElementById('weekly-minutes').value),
+        resetDay: document.getElementById('weekly-reset-day').value,
+        useDailyCap: document.getElementById('weekly-daily-cap').checked
+      };
+      const earnedBreaks = {
+        enabled: document.getElementById('earned-enabled').checked,
+        focusMinutes: parseInt(document.getElementById('earned-focus-minutes').value),
+        rewardMinutes: parseInt(document.getElementById('earned-reward-minutes').value)
+      };
 
       // Validate
       if (isNaN(globalBudget) || globalBudget < 5 || globalBudget > 480) {
@@ -893,15 +1730,45 @@ class OptionsController {
         return;
       }
 
+      if (invalidWeekday) {
+        this.showNotification('Per-day budgets must be between 0 and 480 minutes', 'error');
+        return;
+      }
+
       if (!resetTime) {
         this.showNotification('Please select a reset time', 'error');
         return;
       }
 
+      if (isNaN(rollover.percent) || rollover.percent < 1 || rollover.percent > 100) {
+        this.showNotification('Carry over must be between 1 and 100%', 'error');
+        return;
+      }
+
+      if (isNaN(rollover.cap) || rollover.cap < 1 || rollover.cap > 480) {
+        this.showNotification('Bank cap must be between 1 and 480 minutes', 'error');
+        return;
+      }
+
+      if (isNaN(weekly.minutes) || weekly.minutes < 10 || weekly.minutes > 3360) {
+        this.showNotification('Weekly allowance must be between 10 and 3360 minutes', 'error');
+        return;
+      }
+
+      if (isNaN(earnedBreaks.focusMinutes) || earnedBreaks.focusMinutes < 5 || earnedBreaks.focusMinutes > 120) {
+        this.showNotification('Focus minutes must be between 5 and 120', 'error');
+        return;
+      }
+
+      if (isNaN(earnedBreaks.rewardMinutes) || earnedBreaks.rewardMinutes < 1 || earnedBreaks.rewardMinutes > 60) {
+        this.showNotification('Reward must be between 1 and 60 minutes', 'error');
+        return;
+      }
+
       // Update budget configuration
       await chrome.runtime.sendMessage({
         type: 'UPDATE_BUDGET_CONFIG',
-        data: { globalBudget, resetTime }
+        data: { globalBudget, weekdayBudgets, resetTime, rollover, weekly, earnedBreaks }
       });
 
       // Show success
@@ -930,10 +1797,13 @@ class OptionsController {
     const usedEl = document.getElementById('today-used');
     const totalEl = document.getElementById('today-total');
     const dateEl = document.getElementById('today-date');
+    const bankedEl = document.getElementById('today-banked');
+    const weekEl = document.getElementById('week-usage');
+    const earnedEl = document.getElementById('today-earned');
     const sessionsEl = document.getElementById('active-sessions');
 
     if (remainingEl) {
-      remainingEl.textContent = Math.floor(status.global);
+      remainingEl.textContent = Math.floor(status.available);
     }
 
     if (usedEl) {
@@ -948,11 +1818,110 @@ class OptionsController {
       dateEl.textContent = status.date || '--';
     }
 
+    if (bankedEl) {
+      bankedEl.textContent = `${status.carriedIn || 0} min`;
+    }
+
+    if (earnedEl) {
+      earnedEl.textContent = `${status.earned || 0} min`;
+    }
+
+    if (weekEl) {
+      weekEl.textContent = status.weekly
+        ? `${Math.floor(status.weekly.used)} / ${status.weekly.total} min`
+        : 'Off';
+    }
+
+    this.renderWeeklyPool(status.weekly);
+
     if (sessionsEl) {
       sessionsEl.textContent = sessions.length;
     }
   }
 
+  /**
+   * Render per-site budget inputs with today's usage
+   * @param {Object} perSite - Minutes used today keyed by site ID
+   */
+  renderSiteBudgets(perSite) {
+    const container = document.getElementById('site-budget-list');
+    if (!container) return;
+
+    if (this.blockedSites.length === 0) {
+      container.innerHTML = '<p>No blocked sites yet.</p>';
+      return;
+    }
+
+    container.innerHTML = this.blockedSites.map(site => {
+      const used = Math.floor(perSite[site.id] || 0);
+      const exhausted = site.customBudget && used >= site.customBudget;
+
+      return `
+        <div class="site-budget-row ${exhausted ? 'exhausted' : ''}" data-site-id="${site.id}">
+          <span class="site-budget-pattern">${this.escapeHtml(site.pattern)}</span>
+          <span class="site-budget-used">
+            ${site.customBudget ? `${used} / ${site.customBudget} min today` : `${used} min today`}
+          </span>
+          <input
+            type="number"
+            class="input site-budget-input"
+            min="1"
+            max="1440"
+            placeholder="Global only"
+            value="${site.customBudget || ''}"
+            title="Daily budget for this site in minutes"
+          />
+        </div>
+      `;
+    }).join('');
+  }
+
+  async handleSiteBudgetChange(siteId, value) {
+    const minutes = value === '' ? null : parseInt(value, 10);
+
+    if (minutes !== null && (isNaN(minutes) || minutes < 1 || minutes > 1440)) {
+      this.showNotification('Site budget must be between 1 and 1440 minutes', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_SITE_BUDGET',
+        data: { siteId, minutes }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadBlockedSites();
+      await this.loadBudgetInfo();
+    } catch (error) {
+      logger.error('Failed to set site budget:', error);
+      this.showNotification(error.message || 'Failed to set site budget', 'error');
+    }
+  }
+
+  /**
+   * Show this week's pool usage under the daily chart
+   * @param {Object|null} weekly - GET_BUDGET_STATUS weekly status
+   */
+  renderWeeklyPool(weekly) {
+    const container = document.getElementById('weekly-pool-chart');
+    if (!container) return;
+
+    if (!weekly) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const usedPercent = Math.min(100, (weekly.used / weekly.total) * 100);
+    document.getElementById('weekly-pool-text').textContent =
+      `${Math.floor(weekly.used)} of ${weekly.total} min since ${weekly.start}`;
+    document.getElementById('weekly-pool-used').style.width = `${usedPercent}%`;
+    container.style.display = 'block';
+  }
+
   renderBudgetHistory(history) {
     const chartContainer = document.getElementById('budget-chart');
     const tableContainer = document.getElementById('budget-history-table');
@@ -975,8 +1944,9 @@ class OptionsController {
       const barGroup = document.createElement('div');
       barGroup.className = 'chart-bar-group';
 
-      const usedPercent = (day.used / maxValue) * 100;
-      const totalPercent = (day.total / maxValue) * 100;
+      // Days can have a 0-minute total (0-minute weekday budgets, no banked time)
+      const usedPercent = maxValue > 0 ? Math.min(100, (day.used / maxValue) * 100) : 0;
+      const totalPercent = maxValue > 0 ? (day.total / maxValue) * 100 : 0;
 
       barGroup.innerHTML = `
         <div class="chart-bar-container">
@@ -997,6 +1967,9 @@ class OptionsController {
             <th>Date</th>
             <th>Used</th>
             <th>Total</th>
+            <th>Banked In</th>
+            <th>Banked Out</th>
+            <th>Week</th>
             <th>Percent</th>
           </tr>
         </thead>
@@ -1004,12 +1977,15 @@ class OptionsController {
     `;
 
     history.forEach(day => {
-      const percent = ((day.used / day.total) * 100).toFixed(1);
+      const percent = (day.total > 0 ? (day.used / day.total) * 100 : 0).toFixed(1);
       tableHTML += `
         <tr>
           <td>${day.date}</td>
           <td>${Math.floor(day.used)} min</td>
           <td>${day.total} min</td>
+          <td>${day.carriedIn || 0} min</td>
+          <td>${day.carriedOut || 0} min</td>
+          <td>${day.weekly ? `${Math.floor(day.weekly.used)} / ${day.weekly.total} min` : '-'}</td>
           <td>${percent}%</td>
         </tr>
       `;
@@ -1082,8 +2058,10 @@ function renderStatistics(stats) {
   const budgetSaved = stats.budgetSaved || 0;
   document.getElementById('budget-saved').textContent = `${budgetSaved}%`;
 
-  // Render top blocked sites
+  // Render top blocked sites and groups
   renderTopBlockedSites(stats.topSites || []);
+  renderTopBlockedGroups(stats.topGroups || []);
+  renderTopBlockedKeywords(stats.topKeywords || []);
   
   // Render charts (simplified without external library)
   renderHourlyChart(stats.hourlyActivity || []);
@@ -1113,6 +2091,54 @@ function renderTopBlockedSites(topSites) {
   });
 }
 
+/**
+ * Render top blocked site groups
+ */
+function renderTopBlockedGroups(topGroups) {
+  const container = document.getElementById('top-blocked-groups');
+  if (!container) return;
+
+  if (!topGroups || topGroups.length === 0) {
+    container.innerHTML = '<p class="help-text">No blocks recorded yet</p>';
+    return;
+  }
+
+  container.innerHTML = '';
+  topGroups.forEach(group => {
+    const item = document.createElement('div');
+    item.className = 'top-site-item';
+    item.innerHTML = `
+      <span class="top-site-pattern">📁 ${escapeHtml(group.name)}</span>
+      <span class="top-site-count">${group.blocks}</span>
+    `;
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Render top blocked keywords
+ */
+function renderTopBlockedKeywords(topKeywords) {
+  const container = document.getElementById('top-blocked-keywords');
+  if (!container) return;
+
+  if (!topKeywords || topKeywords.length === 0) {
+    container.innerHTML = '<p class="help-text">No keyword blocks recorded yet</p>';
+    return;
+  }
+
+  container.innerHTML = '';
+  topKeywords.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'top-site-item';
+    item.innerHTML = `
+      <span class="top-site-pattern">🔑 ${escapeHtml(entry.keyword)}</span>
+      <span class="top-site-count">${entry.blocks}</span>
+    `;
+    container.appendChild(item);
+  });
+}
+
 /**
  * Render hourly activity chart (simple canvas bars)
  */
@@ -1,6 +1,7 @@
 import { storage } from '../common/storage.js';
 import { STORAGE_KEYS } from '../common/constants.js';
 import { Logger } from '../common/logger.js';
+import { describeScheduleChange } from '../common/utils.js';
 
 const logger = new Logger('Popup');
 
@@ -12,13 +13,18 @@ class PopupController {
     this.elements = {
       statusIndicator: document.getElementById('status-indicator'),
       statusText: document.getElementById('status-text'),
+      nextChange: document.getElementById('next-change'),
+      sitesLabel: document.getElementById('sites-label'),
       sitesBlocked: document.getElementById('sites-blocked'),
       timeRemaining: document.getElementById('time-remaining'),
       pauseBtn: document.getElementById('pause-btn'),
       addSiteBtn: document.getElementById('add-site-btn'),
+      focusModeBtn: document.getElementById('focus-mode-btn'),
       settingsLink: document.getElementById('settings-link'),
       statsLink: document.getElementById('stats-link')
     };
+    this.isPaused = false;
+    this.focusMode = 'blocklist';
     
     this.init();
   }
@@ -47,23 +53,31 @@ class PopupController {
       });
       
       // Update UI based on pause state first, then enabled state
-      if (scheduleStatus && scheduleStatus.isPaused) {
-        this.updateStatus('paused');
+      this.isPaused = !!(scheduleStatus && scheduleStatus.isPaused);
+      if (this.isPaused) {
+        this.updateStatus('paused', scheduleStatus.pausedUntil);
       } else if (settings && settings.enabled) {
         this.updateStatus('active');
       } else {
         this.updateStatus('disabled');
       }
+      this.updatePauseButton(settings?.pauseDuration || 30);
+      this.elements.nextChange.textContent = describeScheduleChange(scheduleStatus?.nextChange);
       
-      // Load blocked sites count
-      const blockedSites = await storage.get(STORAGE_KEYS.BLOCKED_SITES) || [];
-      this.elements.sitesBlocked.textContent = blockedSites.length;
+      // Load site count for the current focus mode
+      this.focusMode = await storage.get(STORAGE_KEYS.FOCUS_MODE) || 'blocklist';
+      this.updateFocusModeUI();
+
+      const siteKey = this.focusMode === 'allowlist' ? STORAGE_KEYS.ALLOWED_SITES : STORAGE_KEYS.BLOCKED_SITES;
+      const sites = await storage.get(siteKey) || [];
+      this.elements.sitesBlocked.textContent = sites.length;
       
-      // Load time budget
-      const timeBudget = await storage.get(STORAGE_KEYS.TIME_BUDGET);
-      if (timeBudget) {
-        const remaining = timeBudget.globalBudget - (timeBudget.today?.used || 0);
-        this.elements.timeRemaining.textContent = `${Math.floor(remaining)}m`;
+      // Load time budget (the service worker knows today's per-day, banked and weekly amounts)
+      const budgetStatus = await chrome.runtime.sendMessage({
+        type: 'GET_BUDGET_STATUS'
+      });
+      if (budgetStatus && !budgetStatus.error) {
+        this.elements.timeRemaining.textContent = `${Math.floor(budgetStatus.available)}m`;
       }
       
     } catch (error) {
@@ -71,7 +85,7 @@ class PopupController {
     }
   }
 
-  updateStatus(status) {
+  updateStatus(status, pausedUntil = null) {
     this.elements.statusIndicator.className = `status-${status}`;
     
     const statusTexts = {
@@ -80,14 +94,75 @@ class PopupController {
       disabled: 'Disabled'
     };
     
-    this.elements.statusText.textContent = statusTexts[status] || 'Unknown';
+    let text = statusTexts[status] || 'Unknown';
+    if (status === 'paused' && pausedUntil) {
+      const until = new Date(pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      text = `Paused until ${until}`;
+    }
+    this.elements.statusText.textContent = text;
+  }
+
+  /**
+   * Show either the configured pause duration or a resume action
+   * @param {number} duration - Pause duration in minutes (-1 for until tomorrow)
+   */
+  updatePauseButton(duration) {
+    if (this.isPaused) {
+      this.elements.pauseBtn.textContent = 'Resume Blocking';
+    } else if (duration === -1) {
+      this.elements.pauseBtn.textContent = 'Pause until tomorrow';
+    } else {
+      this.elements.pauseBtn.textContent = `Pause for ${duration}min`;
+    }
+  }
+
+  /**
+   * Relabel the site count and buttons for blocklist or allowlist mode
+   */
+  updateFocusModeUI() {
+    const isAllowlist = this.focusMode === 'allowlist';
+    this.elements.sitesLabel.textContent = isAllowlist ? 'Sites Allowed' : 'Sites Blocked';
+    this.elements.addSiteBtn.textContent = isAllowlist ? 'Allow Current Site' : 'Block Current Site';
+    this.elements.focusModeBtn.textContent = isAllowlist ? 'Switch to Blocklist Mode' : 'Switch to Allowlist Mode';
   }
 
   setupListeners() {
+    // Focus mode button
+    this.elements.focusModeBtn.addEventListener('click', async () => {
+      const mode = this.focusMode === 'allowlist' ? 'blocklist' : 'allowlist';
+
+      if (mode === 'allowlist') {
+        const confirmed = confirm('Block every site except your allowlist while blocking is active?');
+        if (!confirmed) return;
+      }
+
+      try {
+        await chrome.runtime.sendMessage({
+          type: 'SET_FOCUS_MODE',
+          data: { mode }
+        });
+        await this.loadState();
+      } catch (error) {
+        logger.error('Failed to switch focus mode:', error);
+        alert('Failed to switch focus mode');
+      }
+    });
+
     // Pause button
     this.elements.pauseBtn.addEventListener('click', async () => {
       logger.info('Pause button clicked');
       
+      if (this.isPaused) {
+        try {
+          await chrome.runtime.sendMessage({ type: 'RESUME_BLOCKING' });
+          await this.loadState();
+        } catch (error) {
+          logger.error('Failed to resume:', error);
+          alert('Failed to resume blocking');
+        }
+        return;
+      }
+      
       try {
         // Get pause duration from settings
         const settings = await storage.get(STORAGE_KEYS.SETTINGS);
@@ -95,7 +170,7 @@ class PopupController {
         
         await chrome.runtime.sendMessage({
           type: 'PAUSE_BLOCKING',
-          data: { minutes: duration }
+          data: { minutes: duration, reason: 'manual' }
         });
 
         if (duration === -1) {
@@ -122,21 +197,28 @@ class PopupController {
           return;
         }
 
-        // Extract domain from URL
+        // In allowlist mode the button adds to the allowlist instead
+        const isAllowlist = this.focusMode === 'allowlist';
+
+        // Extract domain from URL (on the blocked page, use the site that was blocked)
         const url = new URL(tab.url);
-        const domain = url.hostname.replace(/^www\./, '');
+        const blockedHost = url.protocol === 'chrome-extension:' ? url.searchParams.get('url') : null;
+        const domain = (isAllowlist && blockedHost ? blockedHost : url.hostname).replace(/^www\./, '');
 
         // Confirm with user
-        const confirmed = confirm(`Block ${domain}?`);
+        const confirmed = confirm(`${isAllowlist ? 'Allow' : 'Block'} ${domain}?`);
         if (!confirmed) return;
 
-        // Add to block list
-        await chrome.runtime.sendMessage({
-          type: 'ADD_BLOCKED_SITE',
+        const response = await chrome.runtime.sendMessage({
+          type: isAllowlist ? 'ADD_ALLOWED_SITE' : 'ADD_BLOCKED_SITE',
           data: { pattern: domain }
         });
 
-        alert(`${domain} added to block list`);
+        if (response?.error) {
+          throw new Error(response.error);
+        }
+
+        alert(`${domain} added to ${isAllowlist ? 'allowlist' : 'block list'}`);
         await this.loadState();
       } catch (error) {
         logger.error('Failed to add site:', error);
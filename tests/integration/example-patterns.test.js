@@ -164,6 +164,12 @@ describe('Example Integration Test - Testing Patterns', () => {
 
   describe('Pattern: Chrome API Testing', () => {
     it('demonstrates testing chrome.alarms', async () => {
+      // Monday 10 AM inside a 9-5 block, so the next transition is 5 PM
+      await installFakeTime(worker, TEST_TIMES.MONDAY_10AM);
+      await setupTestScenario(worker, {
+        schedule: { days: [1], startTime: '09:00', endTime: '17:00' }
+      });
+
       // Start monitoring (creates alarm)
       await worker.evaluate(async () => {
         await scheduleManager.startMonitoring();
@@ -183,8 +189,9 @@ describe('Example Integration Test - Testing Patterns', () => {
         };
       });
 
-      expect(alarmInfo.periodInMinutes).toBe(1);
-      console.log('✓ Alarm configured to fire every minute');
+      expect(alarmInfo.periodInMinutes).toBeUndefined();
+      expect(alarmInfo.when).toBe(new Date(TEST_TIMES.MONDAY_5PM).getTime());
+      console.log('✓ Alarm armed for the next schedule transition');
 
       // Manually trigger alarm handler
       await worker.evaluate(async () => {
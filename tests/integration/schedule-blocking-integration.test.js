@@ -207,6 +207,16 @@ describe('Schedule + Blocking Integration Tests', () => {
 
   describe('Alarm-Based Schedule Monitoring', () => {
     it('should create schedule check alarm on initialization', async () => {
+      await installFakeTime(worker, TEST_TIMES.MONDAY_10AM);
+
+      await setupTestScenario(worker, {
+        schedule: {
+          days: [1],
+          startTime: '09:00',
+          endTime: '17:00'
+        }
+      });
+
       await worker.evaluate(async () => {
         await scheduleManager.startMonitoring();
       });
@@ -214,7 +224,17 @@ describe('Schedule + Blocking Integration Tests', () => {
       await assertAlarmExists(worker, 'scheduleCheck');
     });
 
-    it('should configure alarm to fire every minute', async () => {
+    it('should configure a one-shot alarm at the next schedule transition', async () => {
+      await installFakeTime(worker, TEST_TIMES.MONDAY_10AM);
+
+      await setupTestScenario(worker, {
+        schedule: {
+          days: [1],
+          startTime: '09:00',
+          endTime: '17:00'
+        }
+      });
+
       await worker.evaluate(async () => {
         await scheduleManager.startMonitoring();
       });
@@ -223,12 +243,14 @@ describe('Schedule + Blocking Integration Tests', () => {
         const alarm = await chrome.alarms.get('scheduleCheck');
         return {
           periodInMinutes: alarm.periodInMinutes,
+          when: alarm.when,
           exists: !!alarm
         };
       });
 
       expect(alarmConfig.exists).toBe(true);
-      expect(alarmConfig.periodInMinutes).toBe(1);
+      expect(alarmConfig.periodInMinutes).toBeUndefined();
+      expect(alarmConfig.when).toBe(new Date(TEST_TIMES.MONDAY_5PM).getTime());
     });
 
     it('should handle alarm events and update blocking state', async () => {
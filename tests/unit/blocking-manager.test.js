@@ -0,0 +1,360 @@
+/**
+ * Unit Tests for Blocking Manager
+ * Uses sinon-chrome to mock Chrome APIs without a browser; storage is an in-memory map
+ */
+
+import { describe, it, beforeAll, beforeEach, afterEach, expect } from '@jest/globals';
+import sinon from 'sinon';
+import chrome from 'sinon-chrome';
+
+// Mock global chrome object before the modules under test create their singletons
+global.chrome = chrome;
+chrome.runtime.getURL.callsFake(path => `chrome-extension://test/${path}`);
+chrome.declarativeNetRequest = {
+  getDynamicRules: sinon.stub(),
+  getSessionRules: sinon.stub(),
+  updateDynamicRules: sinon.stub()
+};
+
+describe('BlockingManager Unit Tests', () => {
+  let BlockingManager;
+  let storage;
+  let Logger;
+  let manager;
+  let storedData;
+
+  beforeAll(async () => {
+    ({ BlockingManager } = await import('../../src/background/blocking-manager.js'));
+    ({ storage } = await import('../../src/common/storage.js'));
+    ({ Logger } = await import('../../src/common/logger.js'));
+  });
+
+  beforeEach(() => {
+    storedData = {};
+    // Like chrome.storage, hand out copies rather than the stored objects
+    sinon.stub(storage, 'get').callsFake(async key => structuredClone(storedData[key]));
+    sinon.stub(storage, 'set').callsFake(async (key, value) => {
+      storedData[key] = value;
+    });
+    // Keep test output free of log lines
+    sinon.stub(Logger.prototype, '_log');
+
+    chrome.declarativeNetRequest.getDynamicRules.resolves([]);
+    chrome.declarativeNetRequest.getSessionRules.resolves([]);
+    chrome.declarativeNetRequest.updateDynamicRules.reset();
+    chrome.declarativeNetRequest.updateDynamicRules.resolves();
+    chrome.tabs.query.resolves([]);
+
+    manager = new BlockingManager();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('Test a URL', () => {
+    beforeEach(() => {
+      storedData.blockingEnabled = true;
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['music.youtube.com'] },
+        { id: 'rd', pattern: 'reddit.com', enabled: true, groupId: null }
+      ];
+      storedData.ruleIds = { yt: 1000, 'yt|music.youtube.com': 1003 };
+    });
+
+    it('should report the stored rule of a matching site', async () => {
+      const result = await manager.testUrl('https://www.youtube.com/watch?v=1');
+
+      expect(result.blocked).toBe(true);
+      expect(result.matches).toHaveLength(1);
+      expect(result.matches[0].siteId).toBe('yt');
+      expect(result.matches[0].ruleId).toBe(1000);
+      expect(result.matches[0].exception).toBeNull();
+    });
+
+    it('should not assign or save rule IDs for sites that have none yet', async () => {
+      const result = await manager.testUrl('https://www.reddit.com/r/all');
+
+      expect(result.blocked).toBe(true);
+      expect(result.matches[0].ruleId).toBeNull();
+      expect(storage.set.called).toBe(false);
+      expect(storedData.ruleIds).toEqual({ yt: 1000, 'yt|music.youtube.com': 1003 });
+    });
+
+    it('should let a matching exception through', async () => {
+      const result = await manager.testUrl('https://music.youtube.com/browse');
+
+      expect(result.blocked).toBe(false);
+      expect(result.matches[0].exception).toBe('music.youtube.com');
+      // Host-only exceptions are excluded from the site's own block rule
+      expect(result.matches[0].exceptionRuleId).toBe(1000);
+    });
+
+    it('should let a site with a running budget session through', async () => {
+      const sessionRule = {
+        id: 1,
+        priority: 100,
+        action: { type: 'allow' },
+        condition: { urlFilter: '||youtube.com', resourceTypes: ['main_frame', 'sub_frame', 'media'] }
+      };
+      chrome.declarativeNetRequest.getSessionRules.resolves([sessionRule]);
+      manager.exemptRuleIds.add(1);
+
+      const result = await manager.testUrl('https://www.youtube.com/watch?v=1');
+
+      expect(result.sessionRule).toEqual(sessionRule);
+      expect(result.matches[0].ruleId).toBe(1000);
+      expect(result.blocked).toBe(false);
+    });
+
+    it('should not be blocked while blocking is off', async () => {
+      storedData.blockingEnabled = false;
+
+      const result = await manager.testUrl('https://www.youtube.com/watch?v=1');
+
+      expect(result.matches[0].enforced).toBe(true);
+      expect(result.blocked).toBe(false);
+    });
+
+    it('should block everything but allowed sites in allowlist mode', async () => {
+      storedData.focusMode = 'allowlist';
+      storedData.allowedSites = [{ id: 'wiki', pattern: 'wikipedia.org' }];
+
+      const allowed = await manager.testUrl('https://en.wikipedia.org/wiki/Focus');
+      const other = await manager.testUrl('https://www.youtube.com/');
+
+      expect(allowed.allowedSite.id).toBe('wiki');
+      expect(allowed.allowRuleId).toBe(1001);
+      expect(allowed.blocked).toBe(false);
+      expect(other.allowedSite).toBeNull();
+      expect(other.catchAllRuleId).toBe(1000);
+      expect(other.blocked).toBe(true);
+    });
+
+    it('should never block browser pages', async () => {
+      const result = await manager.testUrl('chrome://settings');
+
+      expect(result.essential).toBe(true);
+      expect(result.blocked).toBe(false);
+    });
+  });
+
+  describe('Exception Validation', () => {
+    it('should accept subdomains of the blocked site', () => {
+      expect(manager.isValidException('youtube.com', 'music.youtube.com')).toBe(true);
+      expect(manager.isValidException('*.google.com', 'docs.google.com')).toBe(true);
+    });
+
+    it('should accept paths inside the blocked path', () => {
+      expect(manager.isValidException('reddit.com', 'reddit.com/r/programming')).toBe(true);
+      expect(manager.isValidException('reddit.com/r', 'reddit.com/r/programming')).toBe(true);
+      expect(manager.isValidException('reddit.com', 'reddit.com/r/*/comments')).toBe(true);
+      expect(manager.isValidException('youtube.com/watch', 'music.youtube.com/watch')).toBe(true);
+    });
+
+    it('should reject exceptions equal to the blocked pattern', () => {
+      expect(manager.isValidException('youtube.com', 'youtube.com')).toBe(false);
+      expect(manager.isValidException('youtube.com', 'https://youtube.com')).toBe(false);
+      expect(manager.isValidException('reddit.com/r', 'reddit.com/r')).toBe(false);
+    });
+
+    it('should reject exceptions broader than the blocked pattern', () => {
+      expect(manager.isValidException('music.youtube.com', 'youtube.com')).toBe(false);
+      expect(manager.isValidException('reddit.com/r/all', 'reddit.com/r')).toBe(false);
+      expect(manager.isValidException('youtube.com/watch', 'youtube.com/feed')).toBe(false);
+    });
+
+    it('should reject exceptions on another domain', () => {
+      expect(manager.isValidException('youtube.com', 'vimeo.com')).toBe(false);
+      expect(manager.isValidException('youtube.com', 'notyoutube.com')).toBe(false);
+      expect(manager.isValidException('youtube.com', 'youtube.com.evil.net')).toBe(false);
+    });
+
+    it('should reject wildcard hosts in exceptions', () => {
+      expect(manager.isValidException('youtube.com', '*.youtube.com')).toBe(false);
+      expect(manager.isValidException('youtube.com', 'music.*.com')).toBe(false);
+    });
+
+    it('should compare against wildcard block patterns by URL', () => {
+      expect(manager.isValidException('youtube.com/*/videos', 'youtube.com/@channel/videos')).toBe(true);
+      expect(manager.isValidException('youtube.com/*/videos', 'youtube.com/feed')).toBe(false);
+      expect(manager.isValidException('youtube.com/*/videos', 'vimeo.com/a/videos')).toBe(false);
+    });
+  });
+
+  describe('Exception Scope', () => {
+    let findMatchingRule;
+
+    beforeAll(async () => {
+      ({ findMatchingRule } = await import('../../src/common/url-matcher.js'));
+    });
+
+    // The rule Chrome would apply to a page load, given the rules last installed
+    const ruleFor = url => findMatchingRule(
+      url,
+      chrome.declarativeNetRequest.updateDynamicRules.lastCall.args[0].addRules
+    );
+
+    beforeEach(() => {
+      storedData.blockingEnabled = true;
+    });
+
+    it('should not lift a keyword entry with another site\'s host exception', async () => {
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['music.youtube.com'] },
+        { id: 'kw', pattern: 'music', type: 'keyword', enabled: true, groupId: null }
+      ];
+
+      await manager.updateBlockingRules(storedData.blockedSites);
+      const result = await manager.testUrl('https://music.youtube.com/');
+
+      expect(ruleFor('https://music.youtube.com/').action.type).toBe('redirect');
+      expect(ruleFor('https://www.youtube.com/feed').action.type).toBe('redirect');
+      expect(result.matches.find(match => match.siteId === 'yt').exception).toBe('music.youtube.com');
+      expect(result.matches.find(match => match.siteId === 'kw').exception).toBeNull();
+      expect(result.blocked).toBe(true);
+    });
+
+    it('should not lift a regex entry with another site\'s path exception', async () => {
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['youtube.com/feed/subscriptions'] },
+        { id: 're', pattern: 'youtube\\.com/feed', type: 'regex', enabled: true, groupId: null }
+      ];
+
+      await manager.updateBlockingRules(storedData.blockedSites);
+      const result = await manager.testUrl('https://www.youtube.com/feed/subscriptions');
+
+      expect(ruleFor('https://www.youtube.com/feed/subscriptions').action.type).toBe('redirect');
+      expect(result.matches.find(match => match.siteId === 'yt').exception).toBe('youtube.com/feed/subscriptions');
+      expect(result.blocked).toBe(true);
+    });
+
+    it('should let a path exception through its own site only', async () => {
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['youtube.com/feed/subscriptions'] }
+      ];
+
+      await manager.updateBlockingRules(storedData.blockedSites);
+
+      expect(ruleFor('https://www.youtube.com/feed/subscriptions').action.type).toBe('allow');
+      expect(ruleFor('https://www.youtube.com/feed/trending').action.type).toBe('redirect');
+      expect((await manager.testUrl('https://www.youtube.com/feed/subscriptions')).blocked).toBe(false);
+    });
+
+    it('should let a path exception through other entries with path exceptions', async () => {
+      // The documented overlap: both block rules sit below every path exception rule
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['youtube.com/feed'] },
+        { id: 'tr', pattern: 'youtube.com/feed/trending', enabled: true, groupId: null, exceptions: ['youtube.com/feed/trending/music'] }
+      ];
+
+      await manager.updateBlockingRules(storedData.blockedSites);
+
+      expect(ruleFor('https://www.youtube.com/feed/trending').action.type).toBe('allow');
+      expect(ruleFor('https://www.youtube.com/watch?v=1').action.type).toBe('redirect');
+    });
+
+    it('should only give path exceptions rules of their own', async () => {
+      storedData.blockedSites = [
+        { id: 'yt', pattern: 'youtube.com', enabled: true, groupId: null, exceptions: ['music.youtube.com', 'youtube.com/feed'] }
+      ];
+
+      const capacity = await manager.getRuleCapacity(storedData.blockedSites);
+      await manager.updateBlockingRules(storedData.blockedSites);
+      const { addRules } = chrome.declarativeNetRequest.updateDynamicRules.lastCall.args[0];
+
+      expect(addRules).toHaveLength(2);
+      expect(addRules[0].condition.excludedRequestDomains).toEqual(['music.youtube.com']);
+      expect(capacity.needed).toBe(2);
+      expect(Object.keys(storedData.ruleIds)).toEqual(['yt', 'yt|youtube.com/feed']);
+    });
+  });
+
+  describe('Allowlist', () => {
+    beforeEach(() => {
+      storedData.blockingEnabled = true;
+      storedData.focusMode = 'allowlist';
+      storedData.allowedSites = [
+        { id: 'wiki', pattern: 'wikipedia.org' },
+        { id: 'mdn', pattern: 'developer.mozilla.org' }
+      ];
+      chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES = 3;
+    });
+
+    afterEach(() => {
+      delete chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES;
+    });
+
+    it('should not save an allowed site that does not fit the rule quota', async () => {
+      await expect(manager.addAllowedSite('github.com')).rejects.toThrow('Rule limit reached');
+
+      expect(storedData.allowedSites).toHaveLength(2);
+      expect(chrome.declarativeNetRequest.updateDynamicRules.called).toBe(false);
+    });
+
+    it('should not switch to an allowlist that does not fit the rule quota', async () => {
+      storedData.focusMode = 'blocklist';
+      storedData.allowedSites.push({ id: 'gh', pattern: 'github.com' });
+
+      await expect(manager.setFocusMode('allowlist')).rejects.toThrow('Rule limit reached');
+
+      expect(storedData.focusMode).toBe('blocklist');
+    });
+
+    it('should add an allowed site that fits', async () => {
+      storedData.allowedSites.pop();
+
+      await manager.addAllowedSite('github.com');
+
+      expect(storedData.allowedSites).toHaveLength(2);
+      expect(chrome.declarativeNetRequest.updateDynamicRules.firstCall.args[0].addRules).toHaveLength(3);
+    });
+  });
+
+  describe('Blocklist Packs', () => {
+    it('should install no rules for a pack added while blocking is off', async () => {
+      storedData.blockingEnabled = false;
+
+      const result = await manager.addBlocklistPack('news');
+
+      expect(result.added).toBe(7);
+      expect(storedData.blockedSites).toHaveLength(7);
+      expect(chrome.declarativeNetRequest.updateDynamicRules.called).toBe(false);
+    });
+
+    it('should sync rules once for a pack added while blocking is on', async () => {
+      storedData.blockingEnabled = true;
+
+      await manager.addBlocklistPack('news');
+
+      expect(chrome.declarativeNetRequest.updateDynamicRules.calledOnce).toBe(true);
+      expect(chrome.declarativeNetRequest.updateDynamicRules.firstCall.args[0].addRules).toHaveLength(7);
+    });
+
+    it('should share sites with other packs and leave manual entries manual', async () => {
+      storedData.blockedSites = [
+        { id: 'tw', pattern: 'twitch.tv', enabled: true, groupId: null, packIds: ['video'] },
+        { id: 'ign', pattern: 'ign.com', enabled: true, groupId: null }
+      ];
+
+      const result = await manager.addBlocklistPack('gaming');
+
+      expect(result).toEqual({ added: 4, skipped: 2 });
+      expect(storedData.blockedSites.find(site => site.id === 'tw').packIds).toEqual(['video', 'gaming']);
+      expect(storedData.blockedSites.find(site => site.id === 'ign').packIds).toBeUndefined();
+    });
+
+    it('should add nothing when the pack does not fit the rule quota', async () => {
+      storedData.blockedSites = [];
+      chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES = 3;
+
+      try {
+        await expect(manager.addBlocklistPack('news')).rejects.toThrow('Rule limit reached');
+      } finally {
+        delete chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES;
+      }
+
+      expect(storedData.blockedSites).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for Budget Manager
+ * Uses sinon-chrome to mock Chrome APIs without a browser; storage is an in-memory map
+ */
+
+import { describe, it, beforeAll, beforeEach, afterEach, expect } from '@jest/globals';
+import sinon from 'sinon';
+import chrome from 'sinon-chrome';
+
+// Mock global chrome object before the modules under test create their singletons
+global.chrome = chrome;
+
+describe('BudgetManager Unit Tests', () => {
+  let BudgetManager;
+  let storage;
+  let Logger;
+  let manager;
+  let storedData;
+  let clock;
+
+  beforeAll(async () => {
+    ({ BudgetManager } = await import('../../src/background/budget-manager.js'));
+    ({ storage } = await import('../../src/common/storage.js'));
+    ({ Logger } = await import('../../src/common/logger.js'));
+  });
+
+  beforeEach(() => {
+    storedData = {};
+    // Like chrome.storage, hand out copies rather than the stored objects
+    sinon.stub(storage, 'get').callsFake(async key => structuredClone(storedData[key]));
+    sinon.stub(storage, 'set').callsFake(async (key, value) => {
+      storedData[key] = value;
+    });
+    sinon.stub(storage, 'getSession').resolves(undefined);
+    // Keep test output free of log lines
+    sinon.stub(Logger.prototype, '_log');
+
+    // Monday 2026-01-19 07:00 local time; only Date is faked so promises still run
+    clock = sinon.useFakeTimers({ now: new Date(2026, 0, 19, 7, 0), toFake: ['Date'] });
+
+    manager = new BudgetManager();
+  });
+
+  afterEach(() => {
+    clock.restore();
+    sinon.restore();
+  });
+
+  describe('Daily Reset', () => {
+    beforeEach(() => {
+      manager.resetTime = '06:00';
+      manager.globalBudget = 30;
+      manager.rollover = { enabled: true, percent: 100, cap: 30 };
+      manager.todaysBudget = {
+        date: '2026-01-19',
+        base: 30,
+        used: 10,
+        carriedIn: 0,
+        earned: 0,
+        perSite: {},
+        perGroup: {}
+      };
+      manager.lastResetDate = '2026-01-19';
+    });
+
+    it('should keep the budget day running past midnight until the reset time', async () => {
+      clock.setSystemTime(new Date(2026, 0, 20, 0, 5));
+      await manager.checkDailyReset();
+
+      expect(manager.todaysBudget.date).toBe('2026-01-19');
+      expect(manager.todaysBudget.used).toBe(10);
+    });
+
+    it('should roll over at the reset time', async () => {
+      clock.setSystemTime(new Date(2026, 0, 20, 6, 0));
+      await manager.resetDailyBudget();
+
+      expect(manager.todaysBudget.date).toBe('2026-01-20');
+      expect(manager.todaysBudget.used).toBe(0);
+      expect(manager.todaysBudget.carriedIn).toBe(20);
+      expect(manager.lastResetDate).toBe('2026-01-20');
+    });
+
+    it('should reset only once per budget day', async () => {
+      clock.setSystemTime(new Date(2026, 0, 20, 6, 0));
+      await manager.resetDailyBudget();
+      manager.todaysBudget.used = 5;
+
+      clock.setSystemTime(new Date(2026, 0, 20, 9, 0));
+      await manager.resetDailyBudget();
+      await manager.checkDailyReset();
+
+      expect(manager.todaysBudget.used).toBe(5);
+      expect(manager.todaysBudget.carriedIn).toBe(20);
+      expect(storedData.statistics.budgetHistory).toHaveLength(1);
+    });
+
+    it('should not start a new day when the reset time moves later', async () => {
+      manager.resetTime = '00:00';
+      clock.setSystemTime(new Date(2026, 0, 20, 3, 0));
+      await manager.checkDailyReset();
+      expect(manager.todaysBudget.date).toBe('2026-01-20');
+
+      // At 03:00 a 06:00 reset time makes the budget day Monday again
+      manager.resetTime = '06:00';
+      await manager.checkDailyReset();
+      await manager.resetDailyBudget();
+
+      expect(manager.todaysBudget.date).toBe('2026-01-20');
+      expect(storedData.statistics.budgetHistory).toHaveLength(1);
+    });
+  });
+
+  describe('Earned Breaks', () => {
+    // A block running Monday 09:00-17:00
+    const blockEnd = new Date(2026, 0, 19, 17, 0).getTime();
+
+    // Run the focus heartbeat once a minute up to the given time
+    async function heartbeatUntil(end) {
+      while (Date.now() < end.getTime()) {
+        clock.tick(60 * 1000);
+        await manager.checkFocus();
+      }
+    }
+
+    beforeEach(() => {
+      manager.earnedBreaks = { enabled: true, focusMinutes: 25, rewardMinutes: 5 };
+      manager.todaysBudget = {
+        date: '2026-01-19',
+        base: 30,
+        used: 0,
+        carriedIn: 0,
+        earned: 0,
+        perSite: {},
+        perGroup: {}
+      };
+      manager.lastResetDate = '2026-01-19';
+      chrome.idle.queryState.resolves('active');
+      clock.setSystemTime(new Date(2026, 0, 19, 9, 0));
+    });
+
+    afterEach(() => {
+      chrome.idle.queryState.reset();
+    });
+
+    it('should credit each completed interval inside a block', async () => {
+      await manager.setFocusActive(blockEnd);
+      await heartbeatUntil(new Date(2026, 0, 19, 9, 50));
+
+      expect(manager.todaysBudget.earned).toBe(10);
+    });
+
+    it('should not credit a gap inside a block', async () => {
+      await manager.setFocusActive(blockEnd);
+      await heartbeatUntil(new Date(2026, 0, 19, 9, 20));
+
+      // Machine asleep from 09:20 to 11:00; the next heartbeat starts the run over
+      clock.setSystemTime(new Date(2026, 0, 19, 11, 0));
+      await manager.checkFocus();
+
+      expect(manager.todaysBudget.earned).toBe(0);
+      expect(manager.focusSince).toBe(new Date(2026, 0, 19, 11, 0).getTime());
+
+      await heartbeatUntil(new Date(2026, 0, 19, 11, 25));
+      expect(manager.todaysBudget.earned).toBe(5);
+    });
+
+    it('should not credit time the user is away', async () => {
+      await manager.setFocusActive(blockEnd);
+      chrome.idle.queryState.resolves('locked');
+      await heartbeatUntil(new Date(2026, 0, 19, 10, 0));
+
+      expect(manager.todaysBudget.earned).toBe(0);
+    });
+
+    it('should not credit past the end of the block', async () => {
+      clock.setSystemTime(new Date(2026, 0, 19, 16, 40));
+      await manager.setFocusActive(blockEnd);
+      await heartbeatUntil(new Date(2026, 0, 19, 16, 59));
+
+      // The schedule check that ends the run comes late
+      clock.setSystemTime(new Date(2026, 0, 19, 17, 30));
+      await manager.setFocusActive(null);
+
+      expect(manager.todaysBudget.earned).toBe(0);
+      expect(manager.focusSince).toBeNull();
+    });
+
+    it('should close a run left over from a closed browser instead of resuming it', async () => {
+      clock.setSystemTime(new Date(2026, 0, 19, 16, 0));
+      await manager.setFocusActive(blockEnd);
+      await heartbeatUntil(new Date(2026, 0, 19, 16, 30));
+      expect(manager.todaysBudget.earned).toBe(5);
+
+      // Browser closed at 16:30 and opened again Tuesday 09:00, inside the next block
+      clock.setSystemTime(new Date(2026, 0, 20, 9, 0));
+      manager = new BudgetManager();
+      // Same steps as initialize()
+      await manager.loadBudgetConfig();
+      await manager.checkDailyReset();
+      await manager.closeStaleFocusRun();
+      expect(manager.focusSince).toBeNull();
+
+      await manager.setFocusActive(new Date(2026, 0, 20, 17, 0).getTime());
+      await heartbeatUntil(new Date(2026, 0, 20, 9, 10));
+
+      expect(manager.todaysBudget.date).toBe('2026-01-20');
+      expect(manager.todaysBudget.earned).toBe(0);
+      expect(manager.focusSince).toBe(new Date(2026, 0, 20, 9, 0).getTime());
+    });
+
+    it('should not run without a schedule block', async () => {
+      await manager.setFocusActive(null);
+
+      expect(manager.focusSince).toBeNull();
+    });
+  });
+});
@@ -6,6 +6,12 @@
 import { describe, it, beforeEach, afterEach, expect } from '@jest/globals';
 import sinon from 'sinon';
 import chrome from 'sinon-chrome';
+import {
+  isTimeInScheduleDays,
+  isOvernightBlock,
+  getNextScheduleTransition,
+  describeScheduleChange
+} from '../../src/common/utils.js';
 
 // Mock global chrome object
 global.chrome = chrome;
@@ -85,14 +91,19 @@ describe('ScheduleManager Unit Tests', () => {
     ScheduleManager = class {
       constructor() {
         this.schedules = [];
-        this.activeScheduleId = null;
+        this.activeScheduleIds = [];
         this.pausedUntil = null;
         this.ALARM_NAME = 'scheduleCheck';
       }
 
       async loadSchedules() {
         this.schedules = await storage.get(STORAGE_KEYS.SCHEDULES) || [];
-        this.activeScheduleId = await storage.get(STORAGE_KEYS.ACTIVE_SCHEDULE);
+        const active = await storage.get(STORAGE_KEYS.ACTIVE_SCHEDULE);
+        this.activeScheduleIds = Array.isArray(active) ? active : (active ? [active] : []);
+      }
+
+      getActiveSchedules() {
+        return this.schedules.filter(s => this.activeScheduleIds.includes(s.id));
       }
 
       async shouldBlockNow() {
@@ -100,34 +111,19 @@ describe('ScheduleManager Unit Tests', () => {
           return false;
         }
 
-        const schedule = this.schedules.find(s => s.id === this.activeScheduleId);
-        if (!schedule || !schedule.enabled) {
-          return false;
-        }
-
-        const now = new Date();
-        const dayName = DAYS_OF_WEEK[now.getDay() === 0 ? 6 : now.getDay() - 1];
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-        const todayBlocks = schedule.days[dayName] || [];
-
-        for (const block of todayBlocks) {
-          const startMinutes = timeToMinutes(block.start);
-          const endMinutes = timeToMinutes(block.end);
-
-          if (currentMinutes >= startMinutes && currentMinutes <= endMinutes) {
-            return true;
-          }
-        }
-
-        return false;
+        // Day/time matching is shared with the real ScheduleManager
+        return this.getActiveSchedules().some(schedule =>
+          schedule.enabled && isTimeInScheduleDays(schedule.days, new Date())
+        );
       }
 
       startMonitoring() {
-        chrome.alarms.create(this.ALARM_NAME, {
-          delayInMinutes: 1,
-          periodInMinutes: 1
-        });
+        // One-shot alarm at the next transition instead of minute polling
+        const [schedule] = this.getActiveSchedules();
+        const nextChange = schedule ? getNextScheduleTransition(schedule.days, new Date()) : null;
+        if (nextChange) {
+          chrome.alarms.create(this.ALARM_NAME, { when: nextChange.time });
+        }
       }
 
       async checkScheduleState() {
@@ -174,7 +170,7 @@ describe('ScheduleManager Unit Tests', () => {
       await manager.loadSchedules();
 
       expect(manager.schedules).toEqual(testSchedules);
-      expect(manager.activeScheduleId).toBe('schedule-1');
+      expect(manager.activeScheduleIds).toEqual(['schedule-1']);
     });
 
     it('should handle empty schedules', async () => {
@@ -184,7 +180,7 @@ describe('ScheduleManager Unit Tests', () => {
       await manager.loadSchedules();
 
       expect(manager.schedules).toEqual([]);
-      expect(manager.activeScheduleId).toBe(null);
+      expect(manager.activeScheduleIds).toEqual([]);
     });
   });
 
@@ -268,25 +264,69 @@ describe('ScheduleManager Unit Tests', () => {
     });
 
     it('should return false when no active schedule is set', async () => {
-      manager.activeScheduleId = null;
+      manager.activeScheduleIds = [];
 
       const shouldBlock = await manager.shouldBlockNow();
       expect(shouldBlock).toBe(false);
     });
+
+    it('should block when any of several active schedules is running', async () => {
+      manager.schedules.push({
+        id: 'evening-schedule',
+        name: 'Evenings',
+        enabled: true,
+        days: { monday: [{ start: '19:00', end: '22:00' }] }
+      });
+      manager.activeScheduleIds = ['work-schedule', 'evening-schedule'];
+
+      // Monday 8:00 PM - only the evening schedule is running
+      clock.restore();
+      clock = sinon.useFakeTimers(new Date('2026-01-19T20:00:00'));
+
+      expect(await manager.shouldBlockNow()).toBe(true);
+    });
+
+    it('should load a stored list of active schedule IDs', async () => {
+      storage.get.withArgs(STORAGE_KEYS.ACTIVE_SCHEDULE).resolves(['work-schedule']);
+      await manager.loadSchedules();
+      expect(manager.activeScheduleIds).toEqual(['work-schedule']);
+    });
   });
 
   describe('Alarm Management', () => {
-    it('should create schedule check alarm on startMonitoring', () => {
+    it('should create a one-shot alarm at the next transition on startMonitoring', async () => {
+      const schedule = {
+        id: 'work-schedule',
+        enabled: true,
+        days: {
+          monday: [{ start: '09:00', end: '17:00' }],
+          tuesday: [],
+          wednesday: [],
+          thursday: [],
+          friday: [],
+          saturday: [],
+          sunday: []
+        }
+      };
+      storage.get.withArgs(STORAGE_KEYS.SCHEDULES).resolves([schedule]);
+      storage.get.withArgs(STORAGE_KEYS.ACTIVE_SCHEDULE).resolves('work-schedule');
+      await manager.loadSchedules();
+
       manager.startMonitoring();
 
       expect(chrome.alarms.create.calledOnce).toBe(true);
       expect(chrome.alarms.create.firstCall.args[0]).toBe('scheduleCheck');
       expect(chrome.alarms.create.firstCall.args[1]).toEqual({
-        delayInMinutes: 1,
-        periodInMinutes: 1
+        when: new Date('2026-01-19T17:00:00').getTime()
       });
     });
 
+    it('should not create an alarm when there is no upcoming transition', () => {
+      manager.startMonitoring();
+
+      expect(chrome.alarms.create.called).toBe(false);
+    });
+
     it('should handle alarm and check schedule state', async () => {
       const schedule = {
         id: 'test-schedule',
@@ -322,6 +362,157 @@ describe('ScheduleManager Unit Tests', () => {
     });
   });
 
+  describe('Overnight Blocks', () => {
+    const setNightSchedule = async (days) => {
+      const nightSchedule = {
+        id: 'night-schedule',
+        enabled: true,
+        days: {
+          monday: [],
+          tuesday: [],
+          wednesday: [],
+          thursday: [],
+          friday: [],
+          saturday: [],
+          sunday: [],
+          ...days
+        }
+      };
+      storage.get.withArgs(STORAGE_KEYS.SCHEDULES).resolves([nightSchedule]);
+      storage.get.withArgs(STORAGE_KEYS.ACTIVE_SCHEDULE).resolves('night-schedule');
+      await manager.loadSchedules();
+    };
+
+    const setTime = (isoString) => {
+      clock.restore();
+      clock = sinon.useFakeTimers(new Date(isoString));
+    };
+
+    it('should detect overnight blocks', () => {
+      expect(isOvernightBlock({ start: '22:00', end: '02:00' })).toBe(true);
+      expect(isOvernightBlock({ start: '09:00', end: '17:00' })).toBe(false);
+    });
+
+    it('should block before midnight on the start day', async () => {
+      await setNightSchedule({ monday: [{ start: '22:00', end: '02:00' }] });
+
+      setTime('2026-01-19T23:30:00'); // Monday 11:30 PM
+      expect(await manager.shouldBlockNow()).toBe(true);
+    });
+
+    it('should keep blocking after midnight on the following day', async () => {
+      await setNightSchedule({ monday: [{ start: '22:00', end: '02:00' }] });
+
+      setTime('2026-01-20T01:30:00'); // Tuesday 1:30 AM
+      expect(await manager.shouldBlockNow()).toBe(true);
+    });
+
+    it('should stop blocking once the overnight block has ended', async () => {
+      await setNightSchedule({ monday: [{ start: '22:00', end: '02:00' }] });
+
+      setTime('2026-01-20T03:00:00'); // Tuesday 3:00 AM
+      expect(await manager.shouldBlockNow()).toBe(false);
+    });
+
+    it('should not block before the overnight block starts', async () => {
+      await setNightSchedule({ monday: [{ start: '22:00', end: '02:00' }] });
+
+      setTime('2026-01-19T21:00:00'); // Monday 9:00 PM
+      expect(await manager.shouldBlockNow()).toBe(false);
+    });
+
+    it('should count the block against the day it started', async () => {
+      // Tuesday's block does not make early Tuesday blocked
+      await setNightSchedule({ tuesday: [{ start: '22:00', end: '02:00' }] });
+
+      setTime('2026-01-20T01:00:00'); // Tuesday 1:00 AM
+      expect(await manager.shouldBlockNow()).toBe(false);
+
+      setTime('2026-01-21T01:00:00'); // Wednesday 1:00 AM
+      expect(await manager.shouldBlockNow()).toBe(true);
+    });
+
+    it('should wrap from Sunday night into Monday morning', async () => {
+      await setNightSchedule({ sunday: [{ start: '23:00', end: '05:00' }] });
+
+      setTime('2026-01-19T04:00:00'); // Monday 4:00 AM
+      expect(await manager.shouldBlockNow()).toBe(true);
+    });
+  });
+
+  describe('Next Schedule Change', () => {
+    const workdays = {
+      monday: [{ start: '09:00', end: '17:00' }],
+      tuesday: [{ start: '09:00', end: '17:00' }],
+      wednesday: [{ start: '09:00', end: '17:00' }],
+      thursday: [{ start: '09:00', end: '17:00' }],
+      friday: [{ start: '09:00', end: '17:00' }],
+      saturday: [],
+      sunday: []
+    };
+
+    it('should report when the current block ends', () => {
+      // Monday 10:00 AM
+      const change = getNextScheduleTransition(workdays, new Date());
+
+      expect(change.type).toBe('end');
+      expect(change.time).toBe(new Date('2026-01-19T17:00:00').getTime());
+      expect(describeScheduleChange(change)).toBe('Blocking ends at 17:00');
+    });
+
+    it('should stop blocking exactly at the end time', () => {
+      expect(isTimeInScheduleDays(workdays, new Date('2026-01-19T16:59:00'))).toBe(true);
+      expect(isTimeInScheduleDays(workdays, new Date('2026-01-19T17:00:00'))).toBe(false);
+    });
+
+    it('should find the next start on a later day', () => {
+      // Monday 6:00 PM -> Tuesday 9:00 AM
+      const change = getNextScheduleTransition(workdays, new Date('2026-01-19T18:00:00'));
+
+      expect(change.type).toBe('start');
+      expect(change.time).toBe(new Date('2026-01-20T09:00:00').getTime());
+    });
+
+    it('should walk across the weekend into the next week', () => {
+      // Friday 6:00 PM -> Monday 9:00 AM
+      const now = new Date('2026-01-23T18:00:00');
+      const change = getNextScheduleTransition(workdays, now);
+
+      expect(change.type).toBe('start');
+      expect(change.time).toBe(new Date('2026-01-26T09:00:00').getTime());
+      expect(describeScheduleChange(change, now)).toBe('Next focus block starts Mon 09:00');
+    });
+
+    it('should end overnight blocks on the following day', () => {
+      const days = { ...workdays, monday: [{ start: '22:00', end: '02:00' }] };
+      const change = getNextScheduleTransition(days, new Date('2026-01-19T23:00:00'));
+
+      expect(change.type).toBe('end');
+      expect(change.time).toBe(new Date('2026-01-20T02:00:00').getTime());
+    });
+
+    it('should merge back-to-back blocks', () => {
+      const days = {
+        ...workdays,
+        monday: [{ start: '09:00', end: '12:00' }, { start: '12:00', end: '15:00' }]
+      };
+      const change = getNextScheduleTransition(days, new Date());
+
+      expect(change.time).toBe(new Date('2026-01-19T15:00:00').getTime());
+    });
+
+    it('should return null for a schedule that never changes', () => {
+      const allDay = { start: '00:00', end: '23:59' };
+      const days = {
+        monday: [allDay], tuesday: [allDay], wednesday: [allDay], thursday: [allDay],
+        friday: [allDay], saturday: [allDay], sunday: [allDay]
+      };
+
+      expect(getNextScheduleTransition(days, new Date())).toBe(null);
+      expect(getNextScheduleTransition({ monday: [] }, new Date())).toBe(null);
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle schedule spanning midnight', async () => {
       const nightSchedule = {
@@ -341,19 +532,17 @@ describe('ScheduleManager Unit Tests', () => {
       storage.get.withArgs(STORAGE_KEYS.ACTIVE_SCHEDULE).resolves('night-schedule');
       await manager.loadSchedules();
 
-      // Test at 11:00 PM (should be active but current implementation doesn't handle midnight spanning)
+      // Test at 11:00 PM on the start day
       clock.restore();
       clock = sinon.useFakeTimers(new Date('2026-01-19T23:00:00'));
       let shouldBlock = await manager.shouldBlockNow();
-      // This is a known limitation - midnight spanning requires special handling
-      expect(shouldBlock).toBe(false); // Current implementation doesn't support midnight spanning
+      expect(shouldBlock).toBe(true);
 
-      // Test at 3:00 AM next day (should also not work with current implementation)
+      // Test at 3:00 AM next day (block carries over from Monday)
       clock.restore();
       clock = sinon.useFakeTimers(new Date('2026-01-20T03:00:00'));
       shouldBlock = await manager.shouldBlockNow();
-      // This would also fail without proper midnight-spanning logic
-      expect(shouldBlock).toBe(false);
+      expect(shouldBlock).toBe(true);
     });
 
     it('should handle multiple schedules with only one active', async () => {
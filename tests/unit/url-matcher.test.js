@@ -0,0 +1,206 @@
+/**
+ * Unit Tests for the DNR URL condition matcher
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  urlFilterToRegExp,
+  matchesCondition,
+  hostMatchesDomains,
+  escapeRegExp,
+  findMatchingRule,
+  getRedirectUrl
+} from '../../src/common/url-matcher.js';
+
+describe('URL Matcher Unit Tests', () => {
+  describe('urlFilter', () => {
+    it('should match a domain and its subdomains with ||', () => {
+      const condition = { urlFilter: '||reddit.com' };
+
+      expect(matchesCondition('https://reddit.com/', condition)).toBe(true);
+      expect(matchesCondition('https://www.reddit.com/r/all', condition)).toBe(true);
+      expect(matchesCondition('http://old.reddit.com', condition)).toBe(true);
+    });
+
+    it('should not match other domains that merely contain the name', () => {
+      const condition = { urlFilter: '||reddit.com' };
+
+      expect(matchesCondition('https://notreddit.com/', condition)).toBe(false);
+      expect(matchesCondition('https://example.com/?ref=reddit.com', condition)).toBe(false);
+    });
+
+    it('should match path prefixes with a trailing wildcard', () => {
+      const condition = { urlFilter: '||youtube.com/watch*' };
+
+      expect(matchesCondition('https://www.youtube.com/watch?v=abc', condition)).toBe(true);
+      expect(matchesCondition('https://www.youtube.com/feed', condition)).toBe(false);
+    });
+
+    it('should treat * as any characters and match case-insensitively', () => {
+      const condition = { urlFilter: 'example.com/*/news' };
+
+      expect(matchesCondition('https://EXAMPLE.com/world/News', condition)).toBe(true);
+      expect(matchesCondition('https://example.com/news', condition)).toBe(false);
+    });
+
+    it('should honour | anchors at the start and end', () => {
+      expect(matchesCondition('https://a.com/x', { urlFilter: '|https://a.com' })).toBe(true);
+      expect(matchesCondition('http://b.com/https://a.com', { urlFilter: '|https://a.com' })).toBe(false);
+      expect(matchesCondition('https://a.com/x', { urlFilter: 'a.com/x|' })).toBe(true);
+      expect(matchesCondition('https://a.com/xy', { urlFilter: 'a.com/x|' })).toBe(false);
+    });
+
+    it('should match ^ against separators or the end of the URL', () => {
+      const regex = urlFilterToRegExp('||a.com^');
+
+      expect(regex.test('https://a.com/')).toBe(true);
+      expect(regex.test('https://a.com')).toBe(true);
+      expect(regex.test('https://a.com.evil.net/')).toBe(false);
+    });
+
+    it('should not match empty URLs or conditions without a filter', () => {
+      expect(matchesCondition('', { urlFilter: '||a.com' })).toBe(false);
+      expect(matchesCondition('https://a.com', {})).toBe(false);
+    });
+  });
+
+  describe('regexFilter', () => {
+    it('should match the expression anywhere in the full URL', () => {
+      const condition = { regexFilter: 'youtube\\.com/shorts/.*' };
+
+      expect(matchesCondition('https://www.youtube.com/shorts/abc123', condition)).toBe(true);
+      expect(matchesCondition('https://www.youtube.com/watch?v=abc123', condition)).toBe(false);
+    });
+
+    it('should be case-insensitive unless the condition says otherwise', () => {
+      expect(matchesCondition('https://A.com/News', { regexFilter: 'a\\.com/news' })).toBe(true);
+      expect(matchesCondition('https://A.com/News', {
+        regexFilter: 'a\\.com/news',
+        isUrlFilterCaseSensitive: true
+      })).toBe(false);
+    });
+
+    it('should honour anchors in the expression', () => {
+      const condition = { regexFilter: '^https://news\\.' };
+
+      expect(matchesCondition('https://news.example.com/', condition)).toBe(true);
+      expect(matchesCondition('https://example.com/?next=https://news.x', condition)).toBe(false);
+    });
+  });
+
+  describe('exception conditions', () => {
+    it('should allow a whole host but not hosts that merely start with it', () => {
+      const condition = { urlFilter: '||music.youtube.com^' };
+
+      expect(matchesCondition('https://music.youtube.com/browse', condition)).toBe(true);
+      expect(matchesCondition('https://music.youtube.com', condition)).toBe(true);
+      expect(matchesCondition('https://music.youtube.com.evil.net/', condition)).toBe(false);
+      expect(matchesCondition('https://www.youtube.com/watch', condition)).toBe(false);
+    });
+
+    it('should allow only the excepted path and what lies below it', () => {
+      const condition = { urlFilter: '||youtube.com/feed/subscriptions' };
+
+      expect(matchesCondition('https://www.youtube.com/feed/subscriptions', condition)).toBe(true);
+      expect(matchesCondition('https://www.youtube.com/feed/subscriptions?flow=1', condition)).toBe(true);
+      expect(matchesCondition('https://www.youtube.com/feed/trending', condition)).toBe(false);
+    });
+
+    it('should honour wildcards inside excepted paths', () => {
+      const condition = { urlFilter: '||reddit.com/r/*/comments' };
+
+      expect(matchesCondition('https://www.reddit.com/r/programming/comments/abc', condition)).toBe(true);
+      expect(matchesCondition('https://www.reddit.com/r/programming/', condition)).toBe(false);
+    });
+  });
+
+  describe('keywords', () => {
+    it('should match an escaped keyword literally anywhere in the URL, query included', () => {
+      const condition = { regexFilter: escapeRegExp('?tab=trending') };
+
+      expect(matchesCondition('https://github.com/explore?tab=trending', condition)).toBe(true);
+      expect(matchesCondition('https://github.com/explore?xtab=trending', condition)).toBe(false);
+      expect(matchesCondition('https://www.google.com/search?q=celebrity+news', {
+        regexFilter: escapeRegExp('celebrity')
+      })).toBe(true);
+    });
+  });
+
+  describe('request domains', () => {
+    it('should match a domain and its subdomains only', () => {
+      expect(hostMatchesDomains('youtube.com', ['youtube.com'])).toBe(true);
+      expect(hostMatchesDomains('music.youtube.com', ['youtube.com'])).toBe(true);
+      expect(hostMatchesDomains('notyoutube.com', ['youtube.com'])).toBe(false);
+    });
+
+    it('should apply requestDomains and excludedRequestDomains on top of the URL filter', () => {
+      const condition = {
+        urlFilter: '||youtube.com',
+        requestDomains: ['youtube.com'],
+        excludedRequestDomains: ['music.youtube.com']
+      };
+
+      expect(matchesCondition('https://www.youtube.com/watch?v=1', condition)).toBe(true);
+      expect(matchesCondition('https://music.youtube.com/browse', condition)).toBe(false);
+    });
+  });
+
+  describe('open tabs', () => {
+    const blockRule = {
+      id: 1000,
+      priority: 1,
+      action: { type: 'redirect', redirect: { url: 'chrome-extension://x/blocked.html?url=youtube.com' } },
+      condition: { urlFilter: '||youtube.com', resourceTypes: ['main_frame'] }
+    };
+    const exceptionRule = {
+      id: 1003,
+      priority: 2,
+      action: { type: 'allow' },
+      condition: { urlFilter: '||music.youtube.com^', resourceTypes: ['main_frame', 'sub_frame', 'media'] }
+    };
+    const sessionRule = {
+      id: 1,
+      priority: 100,
+      action: { type: 'allow' },
+      condition: { urlFilter: '||youtube.com/watch', resourceTypes: ['main_frame', 'sub_frame', 'media'] }
+    };
+
+    it('should pick the highest-priority matching rule', () => {
+      const rules = [blockRule, exceptionRule, sessionRule];
+
+      expect(findMatchingRule('https://www.youtube.com/feed', rules)).toBe(blockRule);
+      expect(findMatchingRule('https://music.youtube.com/browse', rules)).toBe(exceptionRule);
+      expect(findMatchingRule('https://www.youtube.com/watch?v=1', rules)).toBe(sessionRule);
+      expect(findMatchingRule('https://example.com/', rules)).toBeNull();
+    });
+
+    it('should let allow beat redirect at equal priority', () => {
+      const allowRule = { ...exceptionRule, priority: 1 };
+
+      expect(findMatchingRule('https://music.youtube.com/', [blockRule, allowRule])).toBe(allowRule);
+    });
+
+    it('should skip rules without resourceTypes for page loads', () => {
+      const subresourceRule = { ...exceptionRule, condition: { urlFilter: '||music.youtube.com^' } };
+
+      expect(findMatchingRule('https://music.youtube.com/', [blockRule, subresourceRule])).toBe(blockRule);
+    });
+
+    it('should resolve regexSubstitution redirects with \\0 and groups', () => {
+      const keywordRule = {
+        action: { type: 'redirect', redirect: { regexSubstitution: 'chrome-extension://x/blocked.html?id=1&target=\\0' } },
+        condition: { regexFilter: '^.*(?:shorts).*$' }
+      };
+      const catchAllRule = {
+        action: { type: 'redirect', redirect: { regexSubstitution: 'chrome-extension://x/blocked.html?mode=allowlist&url=\\1' } },
+        condition: { regexFilter: '^https?://([^/?#]+).*$' }
+      };
+
+      expect(getRedirectUrl(keywordRule, 'https://www.youtube.com/shorts/abc'))
+        .toBe('chrome-extension://x/blocked.html?id=1&target=https://www.youtube.com/shorts/abc');
+      expect(getRedirectUrl(catchAllRule, 'https://news.example.com/a?b=1'))
+        .toBe('chrome-extension://x/blocked.html?mode=allowlist&url=news.example.com');
+      expect(getRedirectUrl(blockRule, 'https://youtube.com/')).toBe(blockRule.action.redirect.url);
+    });
+  });
+});
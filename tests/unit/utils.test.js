@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for the shared date and time utilities
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { getWeekStartDate, formatLocalDate, getBudgetDate } from '../../src/common/utils.js';
+
+describe('Utils Unit Tests', () => {
+  describe('formatLocalDate', () => {
+    it('should use the local calendar date at both ends of the day', () => {
+      expect(formatLocalDate(new Date(2026, 0, 20, 0, 30))).toBe('2026-01-20');
+      expect(formatLocalDate(new Date(2026, 0, 20, 23, 30))).toBe('2026-01-20');
+    });
+
+    it('should zero-pad months and days', () => {
+      expect(formatLocalDate(new Date(2026, 2, 5))).toBe('2026-03-05');
+    });
+  });
+
+  describe('getWeekStartDate', () => {
+    // Tuesday 2026-01-20, from just after midnight to late evening local time
+    const times = [[0, 30], [10, 0], [23, 30]];
+
+    it('should keep the same week start all day', () => {
+      times.forEach(([hours, minutes]) => {
+        const date = new Date(2026, 0, 20, hours, minutes);
+        expect(getWeekStartDate('monday', date)).toBe('2026-01-19');
+        expect(getWeekStartDate('sunday', date)).toBe('2026-01-18');
+      });
+    });
+
+    it('should start the week on the reset day itself', () => {
+      expect(getWeekStartDate('tuesday', new Date(2026, 0, 20, 0, 30))).toBe('2026-01-20');
+      expect(getWeekStartDate('wednesday', new Date(2026, 0, 20, 23, 30))).toBe('2026-01-14');
+    });
+
+    it('should count back across a month boundary', () => {
+      expect(getWeekStartDate('monday', new Date(2026, 2, 1, 23, 30))).toBe('2026-02-23');
+    });
+  });
+
+  describe('getBudgetDate', () => {
+    it('should follow the calendar date with a midnight reset', () => {
+      expect(getBudgetDate('00:00', new Date(2026, 0, 20, 0, 0))).toBe('2026-01-20');
+      expect(getBudgetDate('00:00', new Date(2026, 0, 20, 23, 59))).toBe('2026-01-20');
+    });
+
+    it('should keep the previous budget day until a later reset time', () => {
+      expect(getBudgetDate('06:00', new Date(2026, 0, 20, 0, 30))).toBe('2026-01-19');
+      expect(getBudgetDate('06:00', new Date(2026, 0, 20, 5, 59))).toBe('2026-01-19');
+      expect(getBudgetDate('06:00', new Date(2026, 0, 20, 6, 0))).toBe('2026-01-20');
+      expect(getBudgetDate('06:00', new Date(2026, 2, 1, 3, 0))).toBe('2026-02-28');
+    });
+  });
+});